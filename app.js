@@ -6,70 +6,509 @@
 // CONFIGURATION
 // ============================================
 
+// Per-deployment settings from env.js (optional)
+const ENV = window.WAR_ROOM_ENV || {};
+
 const CONFIG = {
-    // Replace with your actual Cloudflare Worker URL
-    WORKER_URL: 'https://war-room-academy-chat.smartselleraico.workers.dev',
+    // Cloudflare Worker URL - set in env.js, falls back to the production worker
+    WORKER_URL: ENV.WORKER_URL || 'https://war-room-academy-chat.smartselleraico.workers.dev',
     MIN_CHECKPOINT_LENGTH: 20,
+    MAX_CONVERSATION_MESSAGES: 20,
+    MAX_CONVERSATION_CHARS: 24000,
+    MAX_PROMPT_CHARS: 6000,
+    MAX_MEMORY_CONTEXT_CHARS: 4000,
+    DEFAULT_EXERCISE_PROFILE: 'general',
+    CHECKPOINT_GRADING: true,
+    STREAM_RESPONSES: true,
+    PROGRESS_STORAGE_KEY: 'warRoomProgress',
+    PROGRESS_SCHEMA_VERSION: 2,
+    LEARNER_TOKEN_KEY: 'warRoomLearnerToken',
+    SESSION_STORAGE_KEY: 'warRoomSession',
+    SYNC_DELAY_MS: 1500,
+    CERTIFICATE_STORAGE_KEY: 'warRoomCertificate',
+    DRIFT_STORAGE_KEY: 'warRoomDriftRuns',
+    STRESS_TEST_STORAGE_KEY: 'warRoomStressTests',
+    EXECUTION_STORAGE_KEY: 'warRoomExecutionLoops',
+    EXECUTION_REMINDER_KEY: 'warRoomExecutionReminders',
+    REVIEW_STORAGE_KEY: 'warRoomReviews',
     RATE_LIMIT_MESSAGE: 'Rate limit exceeded. Please try again in a few minutes.'
 };
 
+// ============================================
+// CURRICULUM
+// ============================================
+
+/**
+ * Curriculum manifest - the single source of truth for modules,
+ * lessons, checkpoint minimums and prerequisites.
+ * Progress, gating and display code all read from here.
+ */
+const CURRICULUM = {
+    modules: [
+        {
+            id: 'module1',
+            title: 'Foundation',
+            lessons: [
+                { number: 1, title: 'Why AI Guesses', checkpointMinLength: 20, prerequisites: [] },
+                { number: 2, title: 'The Prime Directive', checkpointMinLength: 20, prerequisites: [1] },
+                { number: 3, title: 'Framing Density', checkpointMinLength: 40, prerequisites: [2] },
+                { number: 4, title: 'Memory Stacking', checkpointMinLength: 40, checkpointFormat: 'memory-stack', prerequisites: [3] }
+            ]
+        },
+        {
+            id: 'module2',
+            title: 'Advanced Control Modes',
+            lessons: [
+                { number: 5, title: 'Adversarial Stress Test', checkpointMinLength: 40, exerciseProfile: 'adversarial-stress-test', stressTest: true, prerequisites: [4] },
+                { number: 6, title: 'Ghost Protocol', checkpointMinLength: 50, exerciseProfile: 'ghost-protocol', prerequisites: [5] },
+                { number: 7, title: 'Temporal Hierarchy', checkpointMinLength: 40, prerequisites: [6] },
+                { number: 8, title: 'The Execution Loop', checkpointMinLength: 100, prerequisites: [7] }
+            ]
+        },
+        {
+            id: 'module3',
+            title: 'Domain Application',
+            lessons: [
+                { number: 9, title: 'High-Stakes Decision Making', checkpointMinLength: 100, prerequisites: [8] },
+                { number: 10, title: 'Professional Use & Ethics', checkpointMinLength: 80, prerequisites: [9] },
+                { number: 11, title: 'Detecting Expertise Simulation', checkpointMinLength: 100, exerciseProfile: 'expertise-simulation', prerequisites: [10] },
+                { number: 12, title: 'Building a Real Memory Stack', checkpointMinLength: 150, prerequisites: [11] }
+            ]
+        },
+        {
+            id: 'module4',
+            title: 'Mastery & Field Operations',
+            lessons: [
+                { number: 13, title: 'Understanding AI Limitations', checkpointMinLength: 100, prerequisites: [12] },
+                { number: 14, title: 'Operational Discipline Under Pressure', checkpointMinLength: 100, prerequisites: [13] },
+                { number: 15, title: 'Advanced Troubleshooting', checkpointMinLength: 150, driftExercise: 'solo-consultancy', prerequisites: [14] },
+                { number: 16, title: 'Field Operator Certification', checkpointMinLength: 200, prerequisites: [15] }
+            ]
+        }
+    ]
+};
+
+/**
+ * Get every lesson in curriculum order, tagged with its module
+ * @returns {Array} Lessons with moduleId and moduleNumber
+ */
+function getAllLessons() {
+    return CURRICULUM.modules.flatMap((module, index) =>
+        module.lessons.map(lesson => ({ ...lesson, moduleId: module.id, moduleNumber: index + 1 }))
+    );
+}
+
+/**
+ * Look up a lesson in the curriculum
+ * @param {number} lessonNumber - The lesson number
+ * @returns {object|null} Lesson with moduleId and moduleNumber, or null
+ */
+function getLesson(lessonNumber) {
+    return getAllLessons().find(lesson => lesson.number === lessonNumber) || null;
+}
+
+/**
+ * Look up the module containing a lesson
+ * @param {number} lessonNumber - The lesson number
+ * @returns {object|null} Module from the curriculum, or null
+ */
+function getModuleForLesson(lessonNumber) {
+    return CURRICULUM.modules.find(module =>
+        module.lessons.some(lesson => lesson.number === lessonNumber)
+    ) || null;
+}
+
+/**
+ * Get the lesson number of the current page from its URL
+ * @returns {number} Lesson number (0 if not on a lesson page)
+ */
+function getCurrentLessonNumber() {
+    const match = window.location.pathname.match(/lesson-(\d+)\.html$/);
+    return match ? parseInt(match[1], 10) : 0;
+}
+
+/**
+ * Get the minimum checkpoint answer length for a lesson
+ * @param {number} lessonNumber - The lesson number
+ * @returns {number} Minimum character count
+ */
+function getCheckpointMinLength(lessonNumber) {
+    const lesson = getLesson(lessonNumber);
+    return lesson ? lesson.checkpointMinLength : CONFIG.MIN_CHECKPOINT_LENGTH;
+}
+
+/**
+ * Get the required answer format for a lesson's checkpoint
+ * @param {number} lessonNumber - The lesson number
+ * @returns {string|null} Format id (e.g. 'memory-stack'), or null for free text
+ */
+function getCheckpointFormat(lessonNumber) {
+    const lesson = getLesson(lessonNumber);
+    return lesson && lesson.checkpointFormat ? lesson.checkpointFormat : null;
+}
+
+/**
+ * Get the worker exercise profile a lesson's chat should use
+ * Profiles (system prompt, temperature, max tokens) live in worker.js
+ * @param {number} lessonNumber - The lesson number
+ * @returns {string} Profile id
+ */
+function getExerciseProfile(lessonNumber) {
+    const lesson = getLesson(lessonNumber);
+    return lesson && lesson.exerciseProfile ? lesson.exerciseProfile : CONFIG.DEFAULT_EXERCISE_PROFILE;
+}
+
+/**
+ * Get the drift detection scenario a lesson runs before its checkpoint
+ * Scenarios live in DRIFT_SCENARIOS
+ * @param {number} lessonNumber - The lesson number
+ * @returns {string|null} Scenario id, or null if the lesson has none
+ */
+function getDriftExercise(lessonNumber) {
+    const lesson = getLesson(lessonNumber);
+    return lesson && lesson.driftExercise ? lesson.driftExercise : null;
+}
+
+/**
+ * Check whether a lesson runs an Adversarial Stress Test before its checkpoint
+ * @param {number} lessonNumber - The lesson number
+ * @returns {boolean} True if the checkpoint needs a finished stress test
+ */
+function hasStressTest(lessonNumber) {
+    const lesson = getLesson(lessonNumber);
+    return Boolean(lesson && lesson.stressTest);
+}
+
+// ============================================
+// PROGRESS SCHEMA & MIGRATION
+// ============================================
+
+/*
+ * Stored progress shape (schema version 2):
+ * {
+ *   version: 2,
+ *   updatedAt: '2026-01-01T00:00:00.000Z',
+ *   lessons: {
+ *     lesson1: { completed: true, completedAt: '...', checkpoint: '...', updatedAt: '...' }
+ *   }
+ * }
+ *
+ * Lessons are keyed individually so curriculum changes never drop or
+ * break existing entries. Each lesson's updatedAt decides which side
+ * wins when syncing with a learner account. Unversioned data is
+ * treated as version 0.
+ */
+
+/**
+ * Migrations keyed by the version they upgrade FROM.
+ * Each takes the stored object plus loose legacy answers and returns
+ * the next version's shape. Add a new entry for every schema change.
+ */
+const PROGRESS_MIGRATIONS = {
+    0: migrateProgressV0,
+    1: migrateProgressV1
+};
+
+/**
+ * Upgrade the original unversioned shape to version 1
+ * Folds `{ module1: { lesson1: true } ... }` and the loose
+ * `lessonN_checkpoint` / `warRoomAnswers` answers into one object
+ * @param {object} legacy - Unversioned progress object
+ * @param {object} looseAnswers - Answers keyed by 'lessonN'
+ * @returns {object} Version 1 progress
+ */
+function migrateProgressV0(legacy, looseAnswers = {}) {
+    const lessons = {};
+    
+    Object.values(legacy || {}).forEach(moduleProgress => {
+        if (!moduleProgress || typeof moduleProgress !== 'object') {
+            return;
+        }
+        Object.entries(moduleProgress).forEach(([key, completed]) => {
+            if (/^lesson\d+$/.test(key) && completed === true) {
+                lessons[key] = { completed: true, completedAt: null, checkpoint: null };
+            }
+        });
+    });
+    
+    // The old saveCheckpoint always marked the lesson complete with its answer
+    Object.entries(looseAnswers).forEach(([key, answer]) => {
+        lessons[key] = { completed: true, completedAt: null, checkpoint: answer };
+    });
+    
+    return { version: 1, updatedAt: null, lessons };
+}
+
+/**
+ * Add a per-lesson updatedAt (version 2) for account sync
+ * Existing entries date from their completion, else the last save
+ * @param {object} data - Version 1 progress
+ * @returns {object} Version 2 progress
+ */
+function migrateProgressV1(data) {
+    const lessons = {};
+    
+    Object.entries(data.lessons || {}).forEach(([key, entry]) => {
+        lessons[key] = {
+            ...entry,
+            updatedAt: (entry && entry.completedAt) || data.updatedAt || null
+        };
+    });
+    
+    return { ...data, version: 2, lessons };
+}
+
+/**
+ * Run every migration needed to bring progress up to the current version
+ * @param {object} data - Parsed stored progress (any version)
+ * @param {object} looseAnswers - Answers keyed by 'lessonN'
+ * @returns {object} Progress at CONFIG.PROGRESS_SCHEMA_VERSION
+ */
+function migrateProgress(data, looseAnswers = {}) {
+    let progress = data;
+    let version = getProgressVersion(progress);
+    
+    if (version > CONFIG.PROGRESS_SCHEMA_VERSION) {
+        console.warn(`Progress schema v${version} is newer than this app (v${CONFIG.PROGRESS_SCHEMA_VERSION})`);
+        return progress;
+    }
+    
+    while (version < CONFIG.PROGRESS_SCHEMA_VERSION) {
+        const migrate = PROGRESS_MIGRATIONS[version];
+        if (!migrate) {
+            throw new Error(`No progress migration from schema v${version}`);
+        }
+        progress = migrate(progress, looseAnswers);
+        version = getProgressVersion(progress);
+    }
+    
+    return progress;
+}
+
+/**
+ * Read the schema version of a stored progress object
+ * @param {object} data - Parsed stored progress
+ * @returns {number} Schema version (0 if unversioned)
+ */
+function getProgressVersion(data) {
+    return data && Number.isInteger(data.version) ? data.version : 0;
+}
+
+/**
+ * Check a current-version progress object, dropping malformed entries
+ * @param {object} data - Progress at the current schema version
+ * @returns {object} Clean progress object
+ */
+function validateProgress(data) {
+    if (!data || typeof data !== 'object' || !data.lessons || typeof data.lessons !== 'object') {
+        throw new Error('Progress is missing its lessons map');
+    }
+    
+    const lessons = {};
+    Object.entries(data.lessons).forEach(([key, entry]) => {
+        if (!/^lesson\d+$/.test(key) || !entry || typeof entry !== 'object') {
+            console.warn(`Dropping malformed progress entry: ${key}`);
+            return;
+        }
+        lessons[key] = {
+            completed: entry.completed === true,
+            completedAt: typeof entry.completedAt === 'string' ? entry.completedAt : null,
+            checkpoint: typeof entry.checkpoint === 'string' ? entry.checkpoint : null,
+            startedAt: typeof entry.startedAt === 'string' ? entry.startedAt : null,
+            updatedAt: typeof entry.updatedAt === 'string' ? entry.updatedAt : null
+        };
+    });
+    
+    return {
+        version: data.version,
+        updatedAt: typeof data.updatedAt === 'string' ? data.updatedAt : null,
+        lessons
+    };
+}
+
+/**
+ * Collect checkpoint answers stored outside the progress object
+ * by earlier versions of the app
+ * @returns {object} Answers keyed by 'lessonN'
+ */
+function collectLooseCheckpointAnswers() {
+    const answers = {};
+    
+    [sessionStorage, localStorage].forEach(storage => {
+        try {
+            for (let i = 0; i < storage.length; i++) {
+                const key = storage.key(i);
+                const match = key && key.match(/^(lesson\d+)_checkpoint$/);
+                if (match) {
+                    answers[match[1]] = storage.getItem(key);
+                }
+            }
+            
+            const legacyAnswers = JSON.parse(storage.getItem('warRoomAnswers') || '{}');
+            Object.entries(legacyAnswers).forEach(([key, answer]) => {
+                if (/^lesson\d+$/.test(key) && typeof answer === 'string' && !answers[key]) {
+                    answers[key] = answer;
+                }
+            });
+        } catch (error) {
+            console.error('Error reading legacy checkpoint answers:', error);
+        }
+    });
+    
+    return answers;
+}
+
+/**
+ * Remove legacy answer keys once they live inside the progress object
+ */
+function removeLooseCheckpointAnswers() {
+    [localStorage, sessionStorage].forEach(storage => {
+        try {
+            const keys = [];
+            for (let i = 0; i < storage.length; i++) {
+                const key = storage.key(i);
+                if (key && /^lesson\d+_checkpoint$/.test(key)) {
+                    keys.push(key);
+                }
+            }
+            keys.forEach(key => storage.removeItem(key));
+            storage.removeItem('warRoomAnswers');
+        } catch (error) {
+            console.error('Error removing legacy checkpoint answers:', error);
+        }
+    });
+}
+
 // ============================================
 // PROGRESS TRACKING
 // ============================================
 
 /**
  * Save lesson completion progress to localStorage
- * @param {number} lessonNumber - The lesson number (1-4)
+ * @param {number} lessonNumber - The lesson number
  */
 function saveProgress(lessonNumber) {
-    try {
-        // Get existing progress or initialize
-        let progress = getProgressData();
-        
-        // Determine which module
-        let module;
-        if (lessonNumber <= 4) {
-            module = 'module1';
-        } else if (lessonNumber <= 8) {
-            module = 'module2';
-        } else if (lessonNumber <= 12) {
-            module = 'module3';
-        } else {
-            module = 'module4';
-        }
-        
-        // Mark lesson as complete
-        progress[module][`lesson${lessonNumber}`] = true;
-        
-        // Save to localStorage
-        localStorage.setItem('warRoomProgress', JSON.stringify(progress));
-        
+    if (!getLesson(lessonNumber)) {
+        console.warn(`Lesson ${lessonNumber} is not in the curriculum`);
+        return;
+    }
+    
+    // Get existing progress or initialize
+    const progress = getProgressData();
+    const entry = getLessonEntry(progress, lessonNumber);
+    
+    // Mark lesson as complete, keeping the first completion time
+    entry.completed = true;
+    entry.completedAt = entry.completedAt || new Date().toISOString();
+    entry.updatedAt = new Date().toISOString();
+    
+    if (writeProgress(progress)) {
         console.log(`Progress saved: Lesson ${lessonNumber} completed`);
-        
-        // Update progress display if on page
-        updateProgressDisplay();
-        
+    }
+    
+    // Update progress display if on page
+    updateProgressDisplay();
+}
+
+/**
+ * Record when a lesson was first opened, for time-per-lesson reporting
+ * Lessons completed before start times were tracked are left alone
+ * @param {number} lessonNumber - The lesson number
+ */
+function markLessonStarted(lessonNumber) {
+    const lesson = getLesson(lessonNumber);
+    const progress = getProgressData();
+    if (!lesson || !lesson.prerequisites.every(prerequisite => isLessonComplete(progress, prerequisite))) {
+        return;
+    }
+    
+    const entry = getLessonEntry(progress, lessonNumber);
+    if (entry.startedAt || entry.completed) {
+        return;
+    }
+    
+    entry.startedAt = new Date().toISOString();
+    entry.updatedAt = entry.startedAt;
+    writeProgress(progress);
+}
+
+/**
+ * Get (creating if needed) the stored entry for a lesson
+ * @param {object} progress - Progress data object
+ * @param {number} lessonNumber - The lesson number
+ * @returns {object} Lesson entry with completed, completedAt, checkpoint, startedAt, updatedAt
+ */
+function getLessonEntry(progress, lessonNumber) {
+    const key = `lesson${lessonNumber}`;
+    if (!progress.lessons[key]) {
+        progress.lessons[key] = { completed: false, completedAt: null, checkpoint: null, startedAt: null, updatedAt: null };
+    }
+    return progress.lessons[key];
+}
+
+/**
+ * Persist progress, falling back to sessionStorage
+ * Local storage is always written first; signed-in learners then
+ * sync in the background. Progress from a newer schema is never written
+ * @param {object} progress - Progress data object
+ * @param {object} options - { sync: false } to skip the account sync
+ * @returns {boolean} True if saved
+ */
+function writeProgress(progress, options = {}) {
+    if (getProgressVersion(progress) > CONFIG.PROGRESS_SCHEMA_VERSION) {
+        console.warn('Not saving over progress from a newer version of the app');
+        return false;
+    }
+    
+    progress.version = CONFIG.PROGRESS_SCHEMA_VERSION;
+    progress.updatedAt = new Date().toISOString();
+    
+    if (options.sync !== false) {
+        scheduleProgressSync();
+    }
+    
+    try {
+        localStorage.setItem(CONFIG.PROGRESS_STORAGE_KEY, JSON.stringify(progress));
+        return true;
     } catch (error) {
         console.error('Error saving progress:', error);
         // Fallback: use sessionStorage if localStorage is disabled
         try {
-            sessionStorage.setItem('warRoomProgress', JSON.stringify(progress));
+            sessionStorage.setItem(CONFIG.PROGRESS_STORAGE_KEY, JSON.stringify(progress));
+            return true;
         } catch (sessionError) {
             console.error('Both localStorage and sessionStorage failed:', sessionError);
+            return false;
         }
     }
 }
 
 /**
- * Get completion percentage for Module 1
+ * Check whether a lesson is marked complete
+ * @param {object} progress - Progress data object
+ * @param {number} lessonNumber - The lesson number
+ * @returns {boolean} True if complete
+ */
+function isLessonComplete(progress, lessonNumber) {
+    const entry = progress.lessons[`lesson${lessonNumber}`];
+    return Boolean(entry && entry.completed === true);
+}
+
+/**
+ * Get completion percentage for a module
+ * @param {string} moduleId - Module id (defaults to the first module)
  * @returns {number} Percentage complete (0-100)
  */
-function getProgress() {
+function getProgress(moduleId = CURRICULUM.modules[0].id) {
     try {
         const progress = getProgressData();
-        const lessons = Object.values(progress.module1);
-        const completed = lessons.filter(val => val === true).length;
-        const total = lessons.length;
+        const module = CURRICULUM.modules.find(m => m.id === moduleId);
+        if (!module) {
+            return 0;
+        }
+        
+        const completed = module.lessons.filter(lesson => isLessonComplete(progress, lesson.number)).length;
+        const total = module.lessons.length;
         
         return Math.round((completed / total) * 100);
         
@@ -80,90 +519,145 @@ function getProgress() {
 }
 
 /**
- * Get raw progress data from storage
- * @returns {object} Progress data object
+ * Build an empty progress object at the current schema version
+ * @returns {object} Progress data with no lessons recorded
+ */
+function createDefaultProgress() {
+    return {
+        version: CONFIG.PROGRESS_SCHEMA_VERSION,
+        updatedAt: null,
+        lessons: {}
+    };
+}
+
+/**
+ * Get progress data from storage, migrating older schemas and
+ * recovering from corrupted data instead of throwing
+ * @returns {object} Progress data object at the current schema version
  */
 function getProgressData() {
+    let stored = null;
     try {
-        const stored = localStorage.getItem('warRoomProgress') || 
-                      sessionStorage.getItem('warRoomProgress');
-        
-        if (stored) {
-            return JSON.parse(stored);
-        }
-        
-        // Initialize default progress structure
-        return {
-            module1: {
-                lesson1: false,
-                lesson2: false,
-                lesson3: false,
-                lesson4: false
-            },
-            module2: {
-                lesson5: false,
-                lesson6: false,
-                lesson7: false,
-                lesson8: false
-            },
-            module3: {
-                lesson9: false,
-                lesson10: false,
-                lesson11: false,
-                lesson12: false
-            },
-            module4: {
-                lesson13: false,
-                lesson14: false,
-                lesson15: false,
-                lesson16: false
-            }
-        };
-        
+        stored = localStorage.getItem(CONFIG.PROGRESS_STORAGE_KEY) ||
+                 sessionStorage.getItem(CONFIG.PROGRESS_STORAGE_KEY);
     } catch (error) {
         console.error('Error reading progress data:', error);
-        return {
-            module1: {
-                lesson1: false,
-                lesson2: false,
-                lesson3: false,
-                lesson4: false
-            },
-            module2: {
-                lesson5: false,
-                lesson6: false,
-                lesson7: false,
-                lesson8: false
-            },
-            module3: {
-                lesson9: false,
-                lesson10: false,
-                lesson11: false,
-                lesson12: false
-            },
-            module4: {
-                lesson13: false,
-                lesson14: false,
-                lesson15: false,
-                lesson16: false
-            }
-        };
+    }
+    
+    // Nothing stored yet: start fresh, keeping any loose legacy answers
+    if (!stored) {
+        const looseAnswers = collectLooseCheckpointAnswers();
+        if (Object.keys(looseAnswers).length === 0) {
+            return createDefaultProgress();
+        }
+        return upgradeProgress({}, looseAnswers);
+    }
+    
+    let parsed;
+    try {
+        parsed = JSON.parse(stored);
+    } catch (error) {
+        console.error('Stored progress is not valid JSON - recovering:', error);
+        return recoverProgress(stored);
+    }
+    
+    if (getProgressVersion(parsed) > CONFIG.PROGRESS_SCHEMA_VERSION) {
+        return readNewerProgress(parsed);
+    }
+    
+    if (getProgressVersion(parsed) === CONFIG.PROGRESS_SCHEMA_VERSION) {
+        try {
+            return validateProgress(parsed);
+        } catch (error) {
+            console.error('Stored progress failed validation - recovering:', error);
+            return recoverProgress(stored);
+        }
+    }
+    
+    try {
+        return upgradeProgress(parsed, collectLooseCheckpointAnswers());
+    } catch (error) {
+        console.error('Progress migration failed - recovering:', error);
+        return recoverProgress(stored);
+    }
+}
+
+/**
+ * Set unreadable progress aside and rebuild from whatever legacy
+ * answers remain, so a bad blob never locks the learner out
+ * @param {string} raw - The stored value that failed to load
+ * @returns {object} Fresh progress data at the current schema version
+ */
+function recoverProgress(raw) {
+    backupCorruptProgress(raw);
+    return upgradeProgress({}, collectLooseCheckpointAnswers());
+}
+
+/**
+ * Migrate, validate and store progress, then drop the legacy keys
+ * that were folded into it
+ * @param {object} data - Parsed stored progress (any version)
+ * @param {object} looseAnswers - Answers keyed by 'lessonN'
+ * @returns {object} Progress data at the current schema version
+ */
+function upgradeProgress(data, looseAnswers) {
+    const progress = validateProgress(migrateProgress(data, looseAnswers));
+    
+    if (writeProgress(progress)) {
+        removeLooseCheckpointAnswers();
+        console.log(`Progress upgraded to schema v${CONFIG.PROGRESS_SCHEMA_VERSION}`);
+    }
+    
+    return progress;
+}
+
+/**
+ * Read progress saved by a newer version of the app
+ * The copy keeps the newer version number, so writeProgress() refuses
+ * it and the stored data is never downgraded
+ * @param {object} data - Parsed progress with a newer schema version
+ * @returns {object} Read-only progress object
+ */
+function readNewerProgress(data) {
+    console.warn(`Progress schema v${data.version} is newer than this app ` +
+        `(v${CONFIG.PROGRESS_SCHEMA_VERSION}) - reading it without saving`);
+    
+    try {
+        return validateProgress(data);
+    } catch (error) {
+        return { version: data.version, updatedAt: null, lessons: {} };
+    }
+}
+
+/**
+ * Keep unreadable progress aside so it can be inspected or restored by hand
+ * @param {string} raw - The stored value that failed to load
+ */
+function backupCorruptProgress(raw) {
+    try {
+        localStorage.setItem(`${CONFIG.PROGRESS_STORAGE_KEY}_corrupt`, raw);
+    } catch (error) {
+        console.error('Could not back up corrupted progress:', error);
     }
 }
 
 /**
  * Update progress bar display on page
+ * Shows the module of the current lesson (first module elsewhere)
  */
 function updateProgressDisplay() {
     const progressBar = document.querySelector('.progress-bar');
     const progressText = document.querySelector('.progress-text');
     
     if (progressBar) {
-        const percentage = getProgress();
+        const lesson = getLesson(getCurrentLessonNumber());
+        const moduleId = lesson ? lesson.moduleId : CURRICULUM.modules[0].id;
+        const moduleNumber = lesson ? lesson.moduleNumber : 1;
+        const percentage = getProgress(moduleId);
         progressBar.style.width = `${percentage}%`;
         
         if (progressText) {
-            progressText.textContent = `Module 1: ${percentage}% Complete`;
+            progressText.textContent = `Module ${moduleNumber}: ${percentage}% Complete`;
         }
     }
 }
@@ -180,26 +674,17 @@ function updateProgressDisplay() {
 function checkAccess(lessonNumber) {
     try {
         const progress = getProgressData();
+        const lesson = getLesson(lessonNumber);
         
-        // Lesson 1 is always accessible
-        if (lessonNumber === 1) {
+        // Lessons outside the curriculum are not gated
+        if (!lesson) {
             return true;
         }
         
-        // Check if previous lesson is completed
-        const previousLesson = lessonNumber - 1;
-        let previousModule;
-        if (previousLesson <= 4) {
-            previousModule = 'module1';
-        } else if (previousLesson <= 8) {
-            previousModule = 'module2';
-        } else if (previousLesson <= 12) {
-            previousModule = 'module3';
-        } else {
-            previousModule = 'module4';
-        }
-        
-        const hasAccess = progress[previousModule][`lesson${previousLesson}`] === true;
+        // Check that every prerequisite lesson is completed
+        const hasAccess = lesson.prerequisites.every(prerequisite =>
+            isLessonComplete(progress, prerequisite)
+        );
         
         if (!hasAccess) {
             // Redirect to last completed lesson
@@ -223,60 +708,187 @@ function checkAccess(lessonNumber) {
 function getLastCompletedLesson() {
     const progress = getProgressData();
     
-    // Check lessons 16 down to 1
-    for (let i = 16; i >= 1; i--) {
-        let module;
-        if (i <= 4) {
-            module = 'module1';
-        } else if (i <= 8) {
-            module = 'module2';
-        } else if (i <= 12) {
-            module = 'module3';
-        } else {
-            module = 'module4';
-        }
-        
-        if (progress[module][`lesson${i}`] === true) {
-            return i;
-        }
-    }
+    // Walk the curriculum from the end
+    const lessons = getAllLessons().reverse();
+    const lastCompleted = lessons.find(lesson => isLessonComplete(progress, lesson.number));
     
-    return 0;
+    return lastCompleted ? lastCompleted.number : 0;
 }
 
 // ============================================
 // NOTES EXPORT
 // ============================================
 
+// Supported notes export formats
+const NOTES_FORMATS = {
+    markdown: { extension: 'md', type: 'text/markdown', format: formatNotesMarkdown },
+    json: { extension: 'json', type: 'application/json', format: notes => JSON.stringify(notes, null, 2) },
+    text: { extension: 'txt', type: 'text/plain', format: formatNotesText }
+};
+
 /**
- * Export all checkpoint answers as a text file
+ * Gather checkpoint answers for the whole course, grouped by module
+ * @param {boolean} includeChats - Include AI exchanges from each lesson's threads
+ * @returns {object} Notes with exportedAt and modules
  */
-function exportNotes() {
-    try {
-        let notes = 'WAR ROOM ACADEMY - MODULE 1 NOTES\n';
-        notes += '=' .repeat(50) + '\n\n';
+function collectCourseNotes(includeChats = false) {
+    const progress = getProgressData();
+    const conversations = includeChats ? getConversationStore() : {};
+    const stressTests = getStressTests();
+    
+    return {
+        exportedAt: new Date().toISOString(),
+        modules: CURRICULUM.modules.map((module, index) => ({
+            number: index + 1,
+            title: module.title,
+            lessons: module.lessons.map(lesson => {
+                const entry = progress.lessons[`lesson${lesson.number}`] || {};
+                const notes = {
+                    number: lesson.number,
+                    title: lesson.title,
+                    completed: entry.completed === true,
+                    completedAt: entry.completedAt || null,
+                    checkpoint: entry.checkpoint || null
+                };
+                
+                // Stress test transcripts belong to the checkpoint, so they are always included
+                const stressTest = stressTests[`lesson${lesson.number}`];
+                if (stressTest) {
+                    notes.stressTest = {
+                        plan: stressTest.plan,
+                        completedAt: stressTest.completedAt || null,
+                        rounds: stressTest.rounds
+                    };
+                }
+                
+                if (includeChats) {
+                    const session = conversations[`lesson${lesson.number}`];
+                    notes.exchanges = session
+                        ? Object.entries(session.threads)
+                            .filter(([, thread]) => thread.messages.length > 0)
+                            .map(([threadId, thread]) => ({ thread: threadId, messages: thread.messages }))
+                        : [];
+                }
+                
+                return notes;
+            })
+        }))
+    };
+}
+
+/**
+ * Describe when a lesson was completed
+ * @param {object} lesson - Lesson notes
+ * @returns {string} Completion status line
+ */
+function describeCompletion(lesson) {
+    if (!lesson.completed) {
+        return 'Not completed';
+    }
+    return lesson.completedAt ? `Completed ${lesson.completedAt.slice(0, 10)}` : 'Completed';
+}
+
+/**
+ * Render course notes as Markdown
+ * @param {object} notes - Notes from collectCourseNotes
+ * @returns {string} Markdown document
+ */
+function formatNotesMarkdown(notes) {
+    let output = '# War Room Academy - Course Notes\n\n';
+    output += `_Exported ${notes.exportedAt.slice(0, 10)}_\n\n`;
+    
+    notes.modules.forEach(module => {
+        output += `## Module ${module.number}: ${module.title}\n\n`;
         
-        // Collect checkpoint answers
-        for (let i = 1; i <= 4; i++) {
-            const answer = localStorage.getItem(`lesson${i}_checkpoint`) ||
-                          sessionStorage.getItem(`lesson${i}_checkpoint`);
+        module.lessons.forEach(lesson => {
+            output += `### Lesson ${lesson.number}: ${lesson.title}\n\n`;
+            output += `*${describeCompletion(lesson)}*\n\n`;
             
-            if (answer) {
-                notes += `LESSON ${i} CHECKPOINT:\n`;
-                notes += answer + '\n\n';
+            if (lesson.checkpoint) {
+                output += '**Checkpoint**\n\n';
+                output += lesson.checkpoint.split('\n').map(line => `> ${line}`).join('\n') + '\n\n';
             }
-        }
-        
+            
+            if (lesson.stressTest) {
+                output += '**Adversarial Stress Test**\n\n';
+                output += lesson.stressTest.plan.split('\n').map(line => `> ${line}`).join('\n') + '\n\n';
+                lesson.stressTest.rounds.forEach(round => {
+                    output += `*Round ${round.number}: ${round.title}*\n\n`;
+                    output += `- **AI:** ${round.critique.replace(/\n/g, '\n  ')}\n`;
+                    output += `- **You:** ${(round.response || '(no response yet)').replace(/\n/g, '\n  ')}\n\n`;
+                });
+            }
+            
+            (lesson.exchanges || []).forEach(exchange => {
+                output += `**AI exchange (thread: ${exchange.thread})**\n\n`;
+                exchange.messages.forEach(message => {
+                    const speaker = message.role === 'user' ? 'You' : 'AI';
+                    output += `- **${speaker}:** ${message.content.replace(/\n/g, '\n  ')}\n`;
+                });
+                output += '\n';
+            });
+        });
+    });
+    
+    return output;
+}
+
+/**
+ * Render course notes as plain text
+ * @param {object} notes - Notes from collectCourseNotes
+ * @returns {string} Plain text document
+ */
+function formatNotesText(notes) {
+    let output = 'WAR ROOM ACADEMY - COURSE NOTES\n';
+    output += '='.repeat(50) + '\n\n';
+    
+    notes.modules.forEach(module => {
+        output += `MODULE ${module.number}: ${module.title.toUpperCase()}\n`;
+        output += '-'.repeat(50) + '\n\n';
+        
+        module.lessons.forEach(lesson => {
+            output += `LESSON ${lesson.number}: ${lesson.title}\n`;
+            output += `${describeCompletion(lesson)}\n\n`;
+            
+            if (lesson.checkpoint) {
+                output += 'CHECKPOINT:\n';
+                output += lesson.checkpoint + '\n\n';
+            }
+            
+            if (lesson.stressTest) {
+                output += 'ADVERSARIAL STRESS TEST:\n';
+                output += formatStressTestTranscript(lesson.stressTest) + '\n\n';
+            }
+            
+            (lesson.exchanges || []).forEach(exchange => {
+                output += `AI EXCHANGE (thread: ${exchange.thread}):\n`;
+                exchange.messages.forEach(message => {
+                    output += `[${message.role === 'user' ? 'YOU' : 'AI'}] ${message.content}\n\n`;
+                });
+            });
+        });
+    });
+    
+    return output;
+}
+
+/**
+ * Export notes for every module as a downloadable file
+ * @param {string} format - 'markdown', 'json' or 'text'
+ * @param {boolean} includeChats - Include AI exchanges
+ */
+function exportNotes(format = 'markdown', includeChats = false) {
+    try {
+        const exporter = NOTES_FORMATS[format];
+        if (!exporter) {
+            throw new Error(`Unknown notes format: ${format}`);
+        }
+        
+        const notes = collectCourseNotes(includeChats);
+        const date = notes.exportedAt.slice(0, 10);
+        
         // Create download
-        const blob = new Blob([notes], { type: 'text/plain' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'war-room-module1-notes.txt';
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        downloadFile(`war-room-notes-${date}.${exporter.extension}`, exporter.format(notes), exporter.type);
         
         console.log('Notes exported successfully');
         
@@ -286,132 +898,4998 @@ function exportNotes() {
     }
 }
 
-// ============================================
-// CHAT FUNCTIONALITY
-// ============================================
+/**
+ * Trigger a browser download of generated content
+ * @param {string} filename - Name for the downloaded file
+ * @param {string} content - File contents
+ * @param {string} type - MIME type
+ */
+function downloadFile(filename, content, type) {
+    const blob = new Blob([content], { type: type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+// ============================================
+// BACKUP & RESTORE
+// ============================================
+
+/*
+ * Backup bundle shape:
+ * {
+ *   format: 'war-room-backup',
+ *   formatVersion: 2,
+ *   exportedAt: '...',
+ *   data: { progress, conversations, memoryStack, ...one key per BACKUP_SECTIONS entry },
+ *   checksum: 'sha256 hex of JSON.stringify(data)'
+ * }
+ *
+ * Version 1 bundles carry only the first three sections. A section a
+ * bundle doesn't carry leaves that data in this browser untouched, even
+ * on Replace.
+ *
+ * The checksum catches truncated or hand-edited files. It is not a
+ * signature - anyone can recompute it - so server-side state remains
+ * the authority for anything that must be trusted.
+ */
+
+const BACKUP_FORMAT = 'war-room-backup';
+const BACKUP_FORMAT_VERSION = 2;
+
+/*
+ * Exercise records carried alongside progress, keyed by their field in
+ * the bundle's data. Each section stores records keyed by id:
+ *   label    - name in the import preview
+ *   read()   - records in this browser
+ *   write(records) - replace the records in this browser
+ *   validate(data) - clean records from a backup, dropping malformed ones
+ *   rank(record)   - numbers compared in order on merge; higher is further along
+ */
+const BACKUP_SECTIONS = {
+    stressTests: {
+        label: 'Stress tests',
+        read: getStressTests,
+        write: writeStressTests,
+        validate: validateStressTests,
+        rank: transcript => [transcript.completedAt ? 1 : 0, transcript.rounds.length]
+    },
+    driftRuns: {
+        label: 'Drift tests',
+        read: getDriftRuns,
+        write: writeDriftRuns,
+        validate: validateDriftRuns,
+        rank: run => [run.responses.length, Object.keys(run.classifications).length]
+    },
+    // Stored as a list; backed up keyed by loop id
+    executionLoops: {
+        label: 'Execution loops',
+        read: () => Object.fromEntries(getExecutionLoops().map(loop => [loop.id, loop])),
+        write: loops => writeExecutionLoops(Object.values(loops).sort((a, b) => a.createdAt.localeCompare(b.createdAt))),
+        validate: validateExecutionLoops,
+        rank: loop => [loop.outcome ? 2 : (loop.executedAt ? 1 : 0)]
+    },
+    reviews: {
+        label: 'Review drills with results',
+        read: getReviewRecords,
+        write: saveReviewRecords,
+        validate: validateReviewRecords,
+        rank: record => [record.reviews.length]
+    }
+};
+
+// Bundle awaiting a merge/replace decision on the import preview
+let pendingBackup = null;
+
+/**
+ * Compute a SHA-256 hex digest of a string
+ * @param {string} text - Text to hash
+ * @returns {Promise<string>} Hex digest
+ */
+async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * Gather everything the learner has stored in this browser
+ * @returns {object} Backup data sections
+ */
+function collectBackupData() {
+    const data = {
+        progress: getProgressData(),
+        conversations: getConversationStore(),
+        memoryStack: getMemoryStack()
+    };
+    
+    Object.entries(BACKUP_SECTIONS).forEach(([key, section]) => {
+        data[key] = section.read();
+    });
+    
+    return data;
+}
+
+/**
+ * Build a checksummed backup bundle of all learner state
+ * @returns {Promise<object>} Backup bundle
+ */
+async function createBackupBundle() {
+    const data = collectBackupData();
+    return {
+        format: BACKUP_FORMAT,
+        formatVersion: BACKUP_FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        data: data,
+        checksum: await sha256Hex(JSON.stringify(data))
+    };
+}
+
+/**
+ * Download progress, checkpoint answers, chat transcripts and exercise
+ * records as a JSON file
+ */
+async function exportBackup() {
+    try {
+        const bundle = await createBackupBundle();
+        const date = bundle.exportedAt.slice(0, 10);
+        downloadFile(`war-room-backup-${date}.json`, JSON.stringify(bundle, null, 2), 'application/json');
+        
+        console.log('Backup exported successfully');
+        
+    } catch (error) {
+        console.error('Error exporting backup:', error);
+        alert('Error exporting backup. Please try again.');
+    }
+}
+
+/**
+ * Parse and verify a backup file's contents
+ * @param {string} text - Raw file contents
+ * @returns {Promise<object>} Verified data sections at the current schema
+ * @throws {Error} With a learner-readable message when the file is unusable
+ */
+async function verifyBackupBundle(text) {
+    let bundle;
+    try {
+        bundle = JSON.parse(text);
+    } catch (error) {
+        throw new Error('This file is not valid JSON.');
+    }
+    
+    if (!bundle || bundle.format !== BACKUP_FORMAT || !bundle.data) {
+        throw new Error('This file is not a War Room Academy backup.');
+    }
+    
+    if (bundle.formatVersion > BACKUP_FORMAT_VERSION) {
+        throw new Error('This backup was made by a newer version of the academy.');
+    }
+    
+    const checksum = await sha256Hex(JSON.stringify(bundle.data));
+    if (checksum !== bundle.checksum) {
+        throw new Error('Checksum mismatch - the backup is damaged or was edited.');
+    }
+    
+    let progress;
+    try {
+        progress = validateProgress(migrateProgress(bundle.data.progress));
+    } catch (error) {
+        throw new Error('The progress data in this backup is unreadable.');
+    }
+    
+    const data = {
+        progress,
+        conversations: validateConversationStore(bundle.data.conversations),
+        memoryStack: validateMemoryStack(bundle.data.memoryStack)
+    };
+    
+    // null means "not in this backup" - version 1 bundles predate these sections
+    Object.entries(BACKUP_SECTIONS).forEach(([key, section]) => {
+        data[key] = bundle.data[key] === undefined ? null : section.validate(bundle.data[key]);
+    });
+    
+    return data;
+}
+
+/**
+ * Check a backed-up conversation store, dropping malformed sessions and threads
+ * Every session needs a threads object and every thread a messages array,
+ * otherwise the chat panel would fail on the first turn after import
+ * @param {object} data - Conversation store from a backup
+ * @returns {object} Clean conversation store
+ */
+function validateConversationStore(data) {
+    const conversations = {};
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return conversations;
+    }
+    
+    Object.entries(data).forEach(([sessionId, session]) => {
+        if (!session || typeof session !== 'object' || !session.threads ||
+            typeof session.threads !== 'object' || Array.isArray(session.threads)) {
+            console.warn(`Dropping malformed chat session: ${sessionId}`);
+            return;
+        }
+        
+        const threads = {};
+        Object.entries(session.threads).forEach(([threadId, thread]) => {
+            if (!thread || typeof thread !== 'object' || !Array.isArray(thread.messages)) {
+                console.warn(`Dropping malformed chat thread: ${sessionId}/${threadId}`);
+                return;
+            }
+            threads[threadId] = {
+                ...thread,
+                messages: thread.messages.filter(message =>
+                    message && ['user', 'assistant'].includes(message.role) && typeof message.content === 'string'
+                )
+            };
+        });
+        
+        if (Object.keys(threads).length === 0) {
+            console.warn(`Dropping chat session with no usable threads: ${sessionId}`);
+            return;
+        }
+        
+        conversations[sessionId] = {
+            ...session,
+            threads,
+            activeThread: threads[session.activeThread] ? session.activeThread : Object.keys(threads)[0]
+        };
+    });
+    
+    return conversations;
+}
+
+/**
+ * Check a backed-up Memory Stack, dropping malformed and duplicate entries
+ * Every entry needs an id and the four text fields, otherwise rendering
+ * and re-injection would fail on it after import
+ * @param {Array} data - Memory Stack from a backup
+ * @returns {Array} Clean entries, oldest first
+ */
+function validateMemoryStack(data) {
+    if (!Array.isArray(data)) {
+        return [];
+    }
+    
+    const ids = new Set();
+    return data.filter(entry => {
+        const usable = entry && typeof entry === 'object' && typeof entry.id === 'string' && !ids.has(entry.id) &&
+            MEMORY_STACK_FIELDS.every(({ key }) => typeof entry[key] === 'string');
+        if (!usable) {
+            console.warn('Dropping malformed Memory Stack entry:', entry && entry.id);
+            return false;
+        }
+        ids.add(entry.id);
+        return true;
+    });
+}
+
+/**
+ * Check a backup section stored as records keyed by id
+ * @param {object} data - Section from a backup
+ * @param {function} isValid - Returns true for a usable record
+ * @param {string} label - Section name for the warning
+ * @returns {object} Usable records
+ */
+function validateKeyedRecords(data, isValid, label) {
+    const records = {};
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return records;
+    }
+    
+    Object.entries(data).forEach(([key, record]) => {
+        if (record && typeof record === 'object' && isValid(record, key)) {
+            records[key] = record;
+        } else {
+            console.warn(`Dropping malformed ${label} record: ${key}`);
+        }
+    });
+    
+    return records;
+}
+
+/**
+ * Summarize how a backup differs from the current browser state
+ * @param {object} current - Current backup data sections
+ * @param {object} incoming - Verified backup data sections
+ * @returns {Array<string>} Human-readable differences
+ */
+function diffBackupData(current, incoming) {
+    const changes = [];
+    
+    getAllLessons().forEach(lesson => {
+        const key = `lesson${lesson.number}`;
+        const mine = current.progress.lessons[key] || {};
+        const theirs = incoming.progress.lessons[key] || {};
+        const label = `Lesson ${lesson.number} (${lesson.title})`;
+        
+        if (theirs.completed && !mine.completed) {
+            changes.push(`${label}: completed in backup only`);
+        } else if (mine.completed && !theirs.completed) {
+            changes.push(`${label}: completed here only`);
+        }
+        
+        if (theirs.checkpoint && mine.checkpoint && theirs.checkpoint !== mine.checkpoint) {
+            changes.push(`${label}: checkpoint answers differ`);
+        } else if (theirs.checkpoint && !mine.checkpoint) {
+            changes.push(`${label}: checkpoint answer in backup only`);
+        }
+    });
+    
+    Object.entries(incoming.conversations).forEach(([sessionId, session]) => {
+        const threads = Object.keys(session.threads || {});
+        const existing = current.conversations[sessionId];
+        const newThreads = existing
+            ? threads.filter(threadId => !existing.threads[threadId])
+            : threads;
+        if (newThreads.length > 0) {
+            changes.push(`Chat ${sessionId}: ${newThreads.length} thread(s) in backup only`);
+        }
+    });
+    
+    const currentIds = current.memoryStack.map(entry => entry.id);
+    const newEntries = incoming.memoryStack.filter(entry => !currentIds.includes(entry.id));
+    if (newEntries.length > 0) {
+        changes.push(`Memory Stack: ${newEntries.length} entr${newEntries.length === 1 ? 'y' : 'ies'} in backup only`);
+    }
+    
+    Object.entries(BACKUP_SECTIONS).forEach(([key, section]) => {
+        const newRecords = Object.keys(incoming[key] || {}).filter(id => !current[key][id]).length;
+        if (newRecords > 0) {
+            changes.push(`${section.label}: ${newRecords} in backup only`);
+        }
+    });
+    
+    return changes;
+}
+
+/**
+ * Combine current and backup state without losing either side
+ * Completion is kept from both; where both have a checkpoint answer,
+ * the side saved most recently wins
+ * @param {object} current - Current backup data sections
+ * @param {object} incoming - Verified backup data sections
+ * @returns {object} Merged data sections
+ */
+function mergeBackupData(current, incoming) {
+    const progress = validateProgress(current.progress);
+    const incomingIsNewer = (incoming.progress.updatedAt || '') > (current.progress.updatedAt || '');
+    
+    Object.entries(incoming.progress.lessons).forEach(([key, theirs]) => {
+        const mine = progress.lessons[key];
+        if (!mine) {
+            progress.lessons[key] = { ...theirs };
+            return;
+        }
+        
+        const before = JSON.stringify(mine);
+        mine.completed = mine.completed || theirs.completed;
+        mine.completedAt = [mine.completedAt, theirs.completedAt].filter(Boolean).sort()[0] || null;
+        mine.startedAt = [mine.startedAt, theirs.startedAt].filter(Boolean).sort()[0] || null;
+        if (theirs.checkpoint && (!mine.checkpoint || incomingIsNewer)) {
+            mine.checkpoint = theirs.checkpoint;
+        }
+        if (JSON.stringify(mine) !== before) {
+            mine.updatedAt = new Date().toISOString();
+        }
+    });
+    
+    const conversations = JSON.parse(JSON.stringify(current.conversations));
+    Object.entries(incoming.conversations).forEach(([sessionId, session]) => {
+        if (!conversations[sessionId]) {
+            conversations[sessionId] = session;
+            return;
+        }
+        
+        Object.entries(session.threads || {}).forEach(([threadId, thread]) => {
+            const threads = conversations[sessionId].threads;
+            if (!threads[threadId]) {
+                threads[threadId] = thread;
+                return;
+            }
+            
+            // Skip copies already imported earlier, then pick the next free key
+            const messages = JSON.stringify(thread.messages);
+            let importKey = threadId;
+            let copyNumber = 1;
+            while (threads[importKey]) {
+                if (JSON.stringify(threads[importKey].messages) === messages) {
+                    return;
+                }
+                importKey = copyNumber === 1 ? `imported-${threadId}` : `imported-${threadId}-${copyNumber}`;
+                copyNumber++;
+            }
+            threads[importKey] = thread;
+        });
+    });
+    
+    const currentIds = current.memoryStack.map(entry => entry.id);
+    const memoryStack = current.memoryStack.concat(
+        incoming.memoryStack.filter(entry => !currentIds.includes(entry.id))
+    );
+    
+    const merged = { progress, conversations, memoryStack };
+    
+    // Exercise records: where both sides have one, keep the further along
+    Object.entries(BACKUP_SECTIONS).forEach(([key, section]) => {
+        merged[key] = mergeKeyedRecords(current[key], incoming[key], section.rank);
+    });
+    
+    return merged;
+}
+
+/**
+ * Merge two sets of records keyed by id, keeping the more advanced of each pair
+ * @param {object} mine - Current records
+ * @param {object|null} theirs - Backup records (null if the backup has none)
+ * @param {function} rank - Maps a record to numbers compared in order; higher wins
+ * @returns {object} Merged records (current wins ties)
+ */
+function mergeKeyedRecords(mine, theirs, rank) {
+    const merged = { ...mine };
+    
+    Object.entries(theirs || {}).forEach(([key, record]) => {
+        if (!merged[key]) {
+            merged[key] = record;
+            return;
+        }
+        
+        const ours = rank(merged[key]);
+        const other = rank(record);
+        const firstDifference = ours.findIndex((value, index) => value !== other[index]);
+        if (firstDifference !== -1 && other[firstDifference] > ours[firstDifference]) {
+            merged[key] = record;
+        }
+    });
+    
+    return merged;
+}
+
+/**
+ * Write backup data sections to storage, replacing current state
+ * @param {object} data - Data sections to store
+ */
+function applyBackupData(data) {
+    writeProgress(data.progress);
+    saveConversationStore(data.conversations);
+    writeMemoryStack(data.memoryStack);
+    
+    // Sections the backup doesn't carry are left as they are
+    Object.entries(BACKUP_SECTIONS).forEach(([key, section]) => {
+        if (data[key]) {
+            section.write(data[key]);
+        }
+    });
+    
+    updateProgressDisplay();
+}
+
+/**
+ * Read a chosen backup file and show what importing it would change
+ * @param {File} file - Backup file from the file input
+ */
+async function handleBackupFile(file) {
+    const preview = document.getElementById('backup-preview');
+    if (!file || !preview) {
+        return;
+    }
+    
+    preview.classList.add('visible');
+    
+    try {
+        const incoming = await verifyBackupBundle(await file.text());
+        const changes = diffBackupData(collectBackupData(), incoming);
+        pendingBackup = incoming;
+        
+        preview.innerHTML = `
+            <p class="backup-preview-title">Backup verified. Differences from this browser:</p>
+            <ul class="backup-diff"></ul>
+            <div class="backup-actions">
+                <button type="button" class="copy-button" onclick="confirmBackupImport('merge')">Merge</button>
+                <button type="button" class="copy-button" onclick="confirmBackupImport('replace')">Replace</button>
+                <button type="button" class="copy-button" onclick="cancelBackupImport()">Cancel</button>
+            </div>
+        `;
+        
+        const list = preview.querySelector('.backup-diff');
+        (changes.length > 0 ? changes : ['No differences - this backup matches your current state']).forEach(change => {
+            const item = document.createElement('li');
+            item.textContent = change;
+            list.appendChild(item);
+        });
+        
+    } catch (error) {
+        console.error('Backup import error:', error);
+        pendingBackup = null;
+        preview.textContent = `Import failed: ${error.message}`;
+    }
+}
+
+/**
+ * Apply the pending backup by merging or replacing current state
+ * @param {string} mode - 'merge' or 'replace'
+ */
+function confirmBackupImport(mode) {
+    if (!pendingBackup) {
+        return;
+    }
+    
+    if (mode === 'replace' && !confirm('Replace all progress, chats and exercise records in this browser with the backup?')) {
+        return;
+    }
+    
+    const data = mode === 'merge'
+        ? mergeBackupData(collectBackupData(), pendingBackup)
+        : pendingBackup;
+    
+    applyBackupData(data);
+    pendingBackup = null;
+    
+    const preview = document.getElementById('backup-preview');
+    if (preview) {
+        preview.textContent = mode === 'merge' ? 'Backup merged.' : 'Backup restored.';
+    }
+    console.log(`Backup imported (${mode})`);
+}
+
+/**
+ * Discard the pending backup without changing anything
+ */
+function cancelBackupImport() {
+    pendingBackup = null;
+    const preview = document.getElementById('backup-preview');
+    if (preview) {
+        preview.classList.remove('visible');
+        preview.innerHTML = '';
+    }
+}
+
+// ============================================
+// ACCOUNT & SYNC
+// ============================================
+
+/*
+ * Signed-in learners keep a server copy of their progress. Writes land
+ * in localStorage first and sync in the background; each lesson's
+ * updatedAt decides conflicts. The server only accepts a completion when
+ * the previous lesson is complete there, so its copy decides unlocks.
+ */
+
+// Pending background sync, and the sync in flight
+let progressSyncTimer = null;
+let progressSyncInFlight = null;
+
+/**
+ * Get the stored account session
+ * @returns {object|null} { token, username, expiresAt, lastSyncedAt } or null
+ */
+function getSession() {
+    try {
+        const session = JSON.parse(localStorage.getItem(CONFIG.SESSION_STORAGE_KEY) || 'null');
+        if (!session || !session.token || Date.parse(session.expiresAt) <= Date.now()) {
+            return null;
+        }
+        return session;
+    } catch (error) {
+        console.error('Error reading account session:', error);
+        return null;
+    }
+}
+
+/**
+ * Store the account session
+ * @param {object|null} session - Session to keep, or null to sign out locally
+ */
+function saveSession(session) {
+    try {
+        if (session) {
+            localStorage.setItem(CONFIG.SESSION_STORAGE_KEY, JSON.stringify(session));
+        } else {
+            localStorage.removeItem(CONFIG.SESSION_STORAGE_KEY);
+        }
+    } catch (error) {
+        console.error('Error saving account session:', error);
+    }
+}
+
+/**
+ * POST to an account route on the worker
+ * @param {string} path - Route path, e.g. '/auth/login'
+ * @param {object} body - JSON body
+ * @returns {Promise<object>} { ok, status, data }
+ */
+async function postToWorker(path, body) {
+    const response = await fetch(`${CONFIG.WORKER_URL}${path}`, {
+        method: 'POST',
+        headers: getWorkerHeaders(),
+        body: JSON.stringify(body)
+    });
+    
+    let data = {};
+    try {
+        data = await response.json();
+    } catch (error) {
+        // Empty or non-JSON body; status is enough
+    }
+    
+    return { ok: response.ok, status: response.status, data };
+}
+
+/**
+ * Sign in or create an account from the homepage form, then sync
+ * @param {string} mode - 'login' or 'register'
+ */
+async function submitAccountForm(mode) {
+    const username = document.getElementById('account-username');
+    const passphrase = document.getElementById('account-passphrase');
+    if (!username || !passphrase) {
+        return;
+    }
+    
+    setAccountStatus(mode === 'register' ? 'Creating account...' : 'Signing in...');
+    
+    try {
+        const { ok, data } = await postToWorker(mode === 'register' ? '/auth/register' : '/auth/login', {
+            username: username.value,
+            passphrase: passphrase.value
+        });
+        
+        if (!ok) {
+            setAccountStatus(data.error || 'Sign-in failed. Please try again.');
+            return;
+        }
+        
+        passphrase.value = '';
+        saveSession({ token: data.token, username: data.username, expiresAt: data.expiresAt, lastSyncedAt: null });
+        renderAccountPanel();
+        await syncProgress();
+        renderCohortMembership();
+        
+    } catch (error) {
+        console.error('Account error:', error);
+        setAccountStatus('Could not reach the server. Your progress is still saved in this browser.');
+    }
+}
+
+/**
+ * Sign out here and end the session on the server
+ * Local progress stays in this browser
+ */
+async function signOut() {
+    const session = getSession();
+    clearTimeout(progressSyncTimer);
+    
+    if (session) {
+        try {
+            await postToWorker('/auth/logout', {});
+        } catch (error) {
+            console.warn('Could not end the server session:', error);
+        }
+    }
+    
+    saveSession(null);
+    renderAccountPanel();
+}
+
+/**
+ * Sync shortly after local writes, batching bursts of saves
+ */
+function scheduleProgressSync() {
+    if (!getSession()) {
+        return;
+    }
+    
+    clearTimeout(progressSyncTimer);
+    progressSyncTimer = setTimeout(() => syncProgress(), CONFIG.SYNC_DELAY_MS);
+}
+
+/**
+ * Send local progress to the server and adopt its merged copy
+ * Offline or failed syncs leave local progress untouched; the next
+ * write, page load or reconnect tries again
+ * @returns {Promise<object|null>} Server result, or null if not synced
+ */
+async function syncProgress() {
+    if (!getSession()) {
+        return null;
+    }
+    
+    // One sync at a time; callers share the one in flight
+    if (progressSyncInFlight) {
+        return progressSyncInFlight;
+    }
+    
+    progressSyncInFlight = (async () => {
+        try {
+            const { ok, status, data } = await postToWorker('/progress/sync', {
+                lessons: getProgressData().lessons
+            });
+            
+            if (status === 401) {
+                saveSession(null);
+                renderAccountPanel();
+                setAccountStatus('Your session expired. Sign in again to keep syncing.');
+                return null;
+            }
+            
+            if (!ok) {
+                throw new Error(data.error || `Sync failed (${status})`);
+            }
+            
+            applyServerProgress(data);
+            
+            const session = getSession();
+            if (session) {
+                saveSession({ ...session, lastSyncedAt: data.syncedAt });
+            }
+            renderAccountPanel();
+            
+            if (data.rejected.length > 0) {
+                console.warn('Server did not accept some completions:', data.rejected);
+                reviewRejectedCheckpoints(data.rejected);
+            }
+            return data;
+            
+        } catch (error) {
+            console.warn('Progress sync failed - will retry:', error);
+            setAccountStatus('Offline - progress is saved in this browser and will sync later.');
+            return null;
+        } finally {
+            progressSyncInFlight = null;
+        }
+    })();
+    
+    return progressSyncInFlight;
+}
+
+/**
+ * Merge the server's copy into local progress
+ * Lessons changed locally while the sync was in flight are kept and
+ * synced again. Local completions the server rejected are kept too -
+ * progress from before signing in, or accepted while review was off or
+ * down, has no grading pass yet - and reviewRejectedCheckpoints() sends
+ * their answers for review so a later sync can accept them
+ * @param {object} result - { lessons, rejected } from /progress/sync
+ */
+function applyServerProgress(result) {
+    const progress = getProgressData();
+    const rejected = result.rejected.map(item => `lesson${item.lesson}`);
+    let localNewer = false;
+    
+    Object.entries(result.lessons).forEach(([key, serverEntry]) => {
+        const localEntry = progress.lessons[key];
+        if (!localEntry) {
+            progress.lessons[key] = serverEntry;
+            return;
+        }
+        
+        if (rejected.includes(key)) {
+            if (!localEntry.completed || serverEntry.completed) {
+                progress.lessons[key] = serverEntry;
+            }
+            return;
+        }
+        
+        if ((localEntry.updatedAt || '') > (serverEntry.updatedAt || '')) {
+            localNewer = true;
+            return;
+        }
+        progress.lessons[key] = serverEntry;
+    });
+    
+    writeProgress(validateProgress(progress), { sync: false });
+    updateProgressDisplay();
+    
+    if (localNewer) {
+        scheduleProgressSync();
+    }
+}
+
+/**
+ * Re-check lesson access against the server's copy of progress
+ * Local gating runs first (offline-first); this closes the gap for
+ * progress edited by hand in localStorage
+ */
+async function verifyLessonAccess() {
+    const lessonNumber = getCurrentLessonNumber();
+    const result = await syncProgress();
+    
+    if (result && getLesson(lessonNumber)) {
+        checkAccess(lessonNumber);
+    }
+}
+
+/**
+ * Show the sign-in form or the signed-in status on the homepage
+ */
+function renderAccountPanel() {
+    const panel = document.getElementById('account-panel');
+    if (!panel) {
+        return;
+    }
+    
+    const session = getSession();
+    const form = panel.querySelector('.account-form');
+    const signedIn = panel.querySelector('.account-signed-in');
+    
+    form.hidden = Boolean(session);
+    signedIn.hidden = !session;
+    
+    if (session) {
+        panel.querySelector('.account-username').textContent = session.username;
+        setAccountStatus(session.lastSyncedAt
+            ? `Last synced ${new Date(session.lastSyncedAt).toLocaleString()}`
+            : 'Not synced yet');
+    } else {
+        setAccountStatus('');
+    }
+    
+    const cohort = panel.querySelector('.account-cohort');
+    if (cohort) {
+        cohort.hidden = !session;
+    }
+}
+
+/**
+ * Show a status line under the account panel
+ * @param {string} message - Status text
+ */
+function setAccountStatus(message) {
+    const status = document.getElementById('account-status');
+    if (status) {
+        status.textContent = message;
+    }
+}
+
+// ============================================
+// CERTIFICATE
+// ============================================
+
+/*
+ * The worker signs a Field Operator certificate once its copy of the
+ * learner's progress shows all lessons complete. The page keeps the
+ * signed result locally; anyone can check an id or token on verify.html.
+ */
+
+// Certificate ids as issued by the worker
+const CERTIFICATE_ID_PATTERN = /^WRA(-[0-9A-F]{4}){4}$/i;
+
+/**
+ * Get the certificate issued to this browser's learner
+ * @returns {object|null} { certificate, token } or null
+ */
+function getStoredCertificate() {
+    try {
+        return JSON.parse(localStorage.getItem(CONFIG.CERTIFICATE_STORAGE_KEY) || 'null');
+    } catch (error) {
+        console.error('Error reading certificate:', error);
+        return null;
+    }
+}
+
+/**
+ * Keep the issued certificate for reprinting
+ * @param {object} record - { certificate, token } from /certificate
+ */
+function saveStoredCertificate(record) {
+    try {
+        localStorage.setItem(CONFIG.CERTIFICATE_STORAGE_KEY, JSON.stringify(record));
+    } catch (error) {
+        console.error('Error saving certificate:', error);
+    }
+}
+
+/**
+ * Ask the worker to sign a certificate for the signed-in learner
+ * Syncs first so the server sees the final checkpoint
+ */
+async function issueCertificate() {
+    const nameInput = document.getElementById('certificate-name');
+    if (!nameInput || !getSession()) {
+        return;
+    }
+    
+    setCertificateStatus('Verifying your progress...');
+    clearTimeout(progressSyncTimer);
+    await syncProgress();
+    
+    try {
+        const { ok, status, data } = await postToWorker('/certificate', { name: nameInput.value });
+        
+        if (status === 403 && data.missing) {
+            setCertificateStatus(`Not yet - the server has not verified lesson${data.missing.length > 1 ? 's' : ''} ${data.missing.join(', ')}.`);
+            return;
+        }
+        
+        if (!ok) {
+            setCertificateStatus(data.error || 'The certificate could not be issued. Please try again.');
+            return;
+        }
+        
+        saveStoredCertificate(data);
+        setCertificateStatus('');
+        renderCertificatePage();
+        
+    } catch (error) {
+        console.error('Certificate error:', error);
+        setCertificateStatus('Could not reach the server. Please try again when you are online.');
+    }
+}
+
+/**
+ * Show the issued certificate, the claim form or a sign-in prompt
+ */
+function renderCertificatePage() {
+    const page = document.getElementById('certificate-page');
+    if (!page) {
+        return;
+    }
+    
+    const record = getStoredCertificate();
+    const session = getSession();
+    
+    page.querySelector('.certificate-claim').hidden = Boolean(record) || !session;
+    page.querySelector('.certificate-signin').hidden = Boolean(record) || Boolean(session);
+    page.querySelector('.certificate').hidden = !record;
+    page.querySelector('.certificate-actions').hidden = !record;
+    
+    if (record) {
+        renderCertificate(page.querySelector('.certificate'), record.certificate);
+    } else if (session && getProgress() < 100) {
+        setCertificateStatus('Complete all 16 lessons to claim your certificate.');
+    }
+}
+
+/**
+ * Fill the printable certificate
+ * @param {HTMLElement} element - The certificate article
+ * @param {object} certificate - Signed certificate fields
+ */
+function renderCertificate(element, certificate) {
+    element.querySelector('.certificate-title').textContent = certificate.title;
+    element.querySelector('.certificate-name').textContent = certificate.name;
+    element.querySelector('.certificate-date').textContent = new Date(certificate.completedAt).toLocaleDateString(undefined, {
+        year: 'numeric', month: 'long', day: 'numeric'
+    });
+    element.querySelector('.certificate-id').textContent = certificate.id;
+    
+    const verifyUrl = element.querySelector('.certificate-verify-url');
+    if (verifyUrl) {
+        verifyUrl.textContent = new URL(`verify.html?id=${certificate.id}`, window.location.href).href;
+    }
+}
+
+/**
+ * Copy the signed token, which verifies without the certificate store
+ */
+function copyCertificateToken() {
+    const record = getStoredCertificate();
+    if (!record) {
+        return;
+    }
+    
+    navigator.clipboard.writeText(record.token).then(() => {
+        setCertificateStatus('Signed token copied.');
+    }).catch(error => {
+        console.error('Copy failed:', error);
+        setCertificateStatus('Copy failed - select the certificate ID instead.');
+    });
+}
+
+/**
+ * Check a certificate id or signed token with the worker
+ * @param {string} value - Certificate id or token
+ */
+async function verifyCertificate(value) {
+    const result = document.getElementById('verify-result');
+    const text = (value || '').trim();
+    if (!result || !text) {
+        return;
+    }
+    
+    result.className = 'verify-result';
+    result.textContent = 'Checking...';
+    
+    try {
+        const body = CERTIFICATE_ID_PATTERN.test(text) ? { id: text } : { token: text };
+        const { ok, data } = await postToWorker('/certificate/verify', body);
+        
+        if (!ok) {
+            result.textContent = data.error || 'The certificate could not be checked. Please try again.';
+            return;
+        }
+        
+        if (!data.valid) {
+            result.classList.add('invalid');
+            result.textContent = `Not valid: ${data.reason}`;
+            return;
+        }
+        
+        result.classList.add('valid');
+        result.textContent = '';
+        
+        const heading = document.createElement('p');
+        heading.className = 'verify-result-title';
+        heading.textContent = 'Valid certificate';
+        
+        const certificate = document.createElement('article');
+        certificate.className = 'certificate';
+        certificate.innerHTML = `
+            <div class="certificate-issuer">WAR ROOM ACADEMY</div>
+            <h2 class="certificate-title"></h2>
+            <p>This certifies that</p>
+            <p class="certificate-name"></p>
+            <p>completed all 16 lessons of the War Room system on <span class="certificate-date"></span>.</p>
+            <dl class="certificate-details">
+                <dt>Certificate ID</dt>
+                <dd class="certificate-id"></dd>
+            </dl>
+        `;
+        renderCertificate(certificate, data.certificate);
+        
+        result.append(heading, certificate);
+        
+    } catch (error) {
+        console.error('Verify error:', error);
+        result.textContent = 'Could not reach the server. Please try again when you are online.';
+    }
+}
+
+/**
+ * Verify the id or token in the page URL (?id= or ?token=)
+ */
+function renderVerifyPage() {
+    const input = document.getElementById('verify-input');
+    if (!document.getElementById('verify-page') || !input) {
+        return;
+    }
+    
+    const params = new URLSearchParams(window.location.search);
+    const value = params.get('id') || params.get('token');
+    if (value) {
+        input.value = value;
+        verifyCertificate(value);
+    }
+}
+
+/**
+ * Show a status line on the certificate page
+ * @param {string} message - Status text
+ */
+function setCertificateStatus(message) {
+    const status = document.getElementById('certificate-status');
+    if (status) {
+        status.textContent = message;
+    }
+}
+
+// ============================================
+// COHORTS
+// ============================================
+
+/*
+ * An instructor creates a cohort and shares its code; members who join
+ * share their synced progress, checkpoint answers and AI usage counts.
+ * The worker only shows a cohort's dashboard to its instructor.
+ */
+
+// Dashboard data last loaded on cohort.html, for CSV export
+let cohortDashboard = null;
+
+/**
+ * Show the learner's cohort membership in the homepage account panel
+ */
+async function renderCohortMembership() {
+    const panel = document.querySelector('.account-cohort');
+    if (!panel || !getSession()) {
+        return;
+    }
+    
+    const status = panel.querySelector('.account-cohort-status');
+    try {
+        const { ok, data } = await postToWorker('/cohorts/list', {});
+        if (!ok) {
+            throw new Error(data.error || 'Could not load cohorts');
+        }
+        
+        panel.querySelector('.cohort-join-form').hidden = Boolean(data.member);
+        panel.querySelector('.cohort-leave').hidden = !data.member;
+        status.textContent = data.member
+            ? `Cohort: ${data.member.name} (instructor ${data.member.instructor}) - your progress, answers and AI usage are shared with them.`
+            : 'Joining a cohort shares your progress, checkpoint answers and AI usage counts with its instructor.';
+        
+    } catch (error) {
+        console.warn('Cohort status unavailable:', error);
+        status.textContent = 'Cohort status unavailable offline.';
+    }
+}
+
+/**
+ * Join the cohort whose code is in the homepage form
+ */
+async function joinCohort() {
+    const input = document.getElementById('cohort-code');
+    const status = document.querySelector('.account-cohort-status');
+    if (!input || !status) {
+        return;
+    }
+    
+    try {
+        const { ok, data } = await postToWorker('/cohorts/join', { code: input.value });
+        if (!ok) {
+            status.textContent = data.error || 'Could not join the cohort. Please try again.';
+            return;
+        }
+        
+        input.value = '';
+        await syncProgress();
+        await renderCohortMembership();
+        
+    } catch (error) {
+        console.error('Cohort join error:', error);
+        status.textContent = 'Could not reach the server. Please try again when you are online.';
+    }
+}
+
+/**
+ * Leave the current cohort
+ */
+async function leaveCohort() {
+    try {
+        await postToWorker('/cohorts/leave', {});
+    } catch (error) {
+        console.error('Cohort leave error:', error);
+    }
+    await renderCohortMembership();
+}
+
+/**
+ * Set up the instructor dashboard: sign-in prompt or cohort picker
+ */
+async function renderCohortPage() {
+    const page = document.getElementById('cohort-page');
+    if (!page) {
+        return;
+    }
+    
+    const session = getSession();
+    page.querySelector('.cohort-signin').hidden = Boolean(session);
+    page.querySelector('.cohort-admin').hidden = !session;
+    if (!session) {
+        return;
+    }
+    
+    try {
+        const { ok, data } = await postToWorker('/cohorts/list', {});
+        if (!ok) {
+            throw new Error(data.error || 'Could not load cohorts');
+        }
+        
+        const select = document.getElementById('cohort-select');
+        select.innerHTML = '';
+        data.leading.forEach(cohort => {
+            const option = document.createElement('option');
+            option.value = cohort.code;
+            option.textContent = `${cohort.name} (${cohort.code}) - ${cohort.members} member${cohort.members === 1 ? '' : 's'}`;
+            select.appendChild(option);
+        });
+        
+        page.querySelector('.cohort-picker').hidden = data.leading.length === 0;
+        if (data.leading.length > 0) {
+            await loadCohortDashboard(select.value);
+        } else {
+            setCohortStatus('You do not lead any cohorts yet. Create one and share its code with your learners.');
+        }
+        
+    } catch (error) {
+        console.error('Cohort list error:', error);
+        setCohortStatus('Could not reach the server. Please try again when you are online.');
+    }
+}
+
+/**
+ * Create a cohort from the dashboard form and show it
+ */
+async function createCohort() {
+    const input = document.getElementById('cohort-name');
+    if (!input) {
+        return;
+    }
+    
+    try {
+        const { ok, data } = await postToWorker('/cohorts/create', { name: input.value });
+        if (!ok) {
+            setCohortStatus(data.error || 'Could not create the cohort. Please try again.');
+            return;
+        }
+        
+        input.value = '';
+        await renderCohortPage();
+        document.getElementById('cohort-select').value = data.code;
+        await loadCohortDashboard(data.code);
+        
+    } catch (error) {
+        console.error('Cohort create error:', error);
+        setCohortStatus('Could not reach the server. Please try again when you are online.');
+    }
+}
+
+/**
+ * Fetch and render one cohort's dashboard
+ * @param {string} code - Cohort join code
+ */
+async function loadCohortDashboard(code) {
+    const container = document.getElementById('cohort-dashboard');
+    if (!container || !code) {
+        return;
+    }
+    
+    setCohortStatus('Loading...');
+    
+    try {
+        const { ok, data } = await postToWorker('/cohorts/dashboard', { code });
+        if (!ok) {
+            setCohortStatus(data.error || 'Could not load the cohort.');
+            return;
+        }
+        
+        cohortDashboard = data;
+        setCohortStatus(`Join code ${data.cohort.code} · ${data.members.length} member${data.members.length === 1 ? '' : 's'}`);
+        renderCohortDashboard(container, data);
+        
+    } catch (error) {
+        console.error('Cohort dashboard error:', error);
+        setCohortStatus('Could not reach the server. Please try again when you are online.');
+    }
+}
+
+/**
+ * Render one expandable row per member with their per-lesson detail
+ * @param {HTMLElement} container - Dashboard container
+ * @param {object} dashboard - { cohort, members } from /cohorts/dashboard
+ */
+function renderCohortDashboard(container, dashboard) {
+    container.innerHTML = '';
+    const totalLessons = getAllLessons().length;
+    
+    dashboard.members.forEach(member => {
+        const details = document.createElement('details');
+        details.className = 'cohort-member';
+        
+        const summary = document.createElement('summary');
+        summary.textContent = `${member.username} - ${member.completed}/${totalLessons} lessons · ` +
+            `${member.usage.chat} chats · ${member.usage.grade} reviews` +
+            (member.usage.lastUsedAt ? ` · last AI use ${new Date(member.usage.lastUsedAt).toLocaleDateString()}` : '');
+        details.appendChild(summary);
+        
+        const table = document.createElement('table');
+        table.className = 'cohort-lessons';
+        table.innerHTML = '<thead><tr><th>Lesson</th><th>Status</th><th>Time</th><th>Checkpoint answer</th></tr></thead>';
+        const body = document.createElement('tbody');
+        
+        member.lessons.forEach(lesson => {
+            const row = document.createElement('tr');
+            const lessonInfo = getLesson(lesson.lesson);
+            [
+                `${lesson.lesson}. ${lessonInfo ? lessonInfo.title : ''}`,
+                lesson.completed
+                    ? `Complete ${new Date(lesson.completedAt).toLocaleDateString()}`
+                    : (lesson.startedAt ? 'In progress' : 'Not started'),
+                lesson.timeSpentSeconds === null ? '-' : formatDuration(lesson.timeSpentSeconds),
+                lesson.checkpoint || '-'
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        });
+        
+        table.appendChild(body);
+        details.appendChild(table);
+        container.appendChild(details);
+    });
+}
+
+/**
+ * Download the loaded dashboard as CSV, one row per member per lesson
+ */
+function exportCohortCsv() {
+    if (!cohortDashboard) {
+        return;
+    }
+    
+    const rows = [[
+        'cohort', 'username', 'joined_at', 'lesson', 'completed', 'started_at', 'completed_at',
+        'time_spent_seconds', 'checkpoint', 'chat_requests', 'review_requests'
+    ]];
+    
+    cohortDashboard.members.forEach(member => {
+        member.lessons.forEach(lesson => {
+            rows.push([
+                cohortDashboard.cohort.name,
+                member.username,
+                member.joinedAt,
+                lesson.lesson,
+                lesson.completed,
+                lesson.startedAt || '',
+                lesson.completedAt || '',
+                lesson.timeSpentSeconds === null ? '' : lesson.timeSpentSeconds,
+                lesson.checkpoint || '',
+                member.usage.chat,
+                member.usage.grade
+            ]);
+        });
+    });
+    
+    const csv = rows.map(row => row.map(toCsvField).join(',')).join('\r\n');
+    downloadFile(`war-room-cohort-${cohortDashboard.cohort.code}.csv`, csv, 'text/csv');
+}
+
+/**
+ * Quote a CSV field when needed (RFC 4180), and neutralize spreadsheet formulas
+ * @param {*} value - Field value
+ * @returns {string} CSV-safe field
+ */
+function toCsvField(value) {
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format seconds as a short duration, e.g. 45s, 25m, 1h 05m, 2d 3h
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+function formatDuration(seconds) {
+    if (seconds < 60) {
+        return `${seconds}s`;
+    }
+    
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) {
+        return `${minutes}m`;
+    }
+    
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) {
+        return `${hours}h ${String(minutes % 60).padStart(2, '0')}m`;
+    }
+    
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+/**
+ * Show a status line on the dashboard
+ * @param {string} message - Status text
+ */
+function setCohortStatus(message) {
+    const status = document.getElementById('cohort-status');
+    if (status) {
+        status.textContent = message;
+    }
+}
+
+// ============================================
+// MEMORY STACK
+// ============================================
+
+/*
+ * Memory Stack entries use the mandatory 4-field format:
+ *   Session: [Problem name]
+ *   Date: [YYYY-MM-DD]
+ *   Decision: [What you're executing]
+ *   Usage: [When you'll re-inject this]
+ */
+
+const MEMORY_STACK_FIELDS = [
+    { key: 'session', label: 'Session', placeholder: 'Problem name' },
+    { key: 'date', label: 'Date', placeholder: 'YYYY-MM-DD' },
+    { key: 'decision', label: 'Decision', placeholder: "What you're executing" },
+    { key: 'usage', label: 'Usage', placeholder: "When you'll re-inject this" }
+];
+
+/**
+ * Parse a 4-field Memory Stack entry from text
+ * Field values may continue over several lines
+ * @param {string} text - Entry text
+ * @returns {object} { entry, errors } where errors lists field problems
+ */
+function parseMemoryStackEntry(text) {
+    const entry = { session: '', date: '', decision: '', usage: '' };
+    let currentField = null;
+    
+    text.split('\n').forEach(line => {
+        const match = line.match(/^\s*(session|date|decision|usage)\s*:\s*(.*)$/i);
+        if (match) {
+            currentField = match[1].toLowerCase();
+            entry[currentField] = match[2].trim();
+        } else if (currentField && line.trim()) {
+            entry[currentField] += (entry[currentField] ? '\n' : '') + line.trim();
+        }
+    });
+    
+    return { entry, errors: validateMemoryStackEntry(entry) };
+}
+
+/**
+ * Check each field of a Memory Stack entry
+ * @param {object} entry - { session, date, decision, usage }
+ * @returns {Array} Errors as { field, message } (empty when valid)
+ */
+function validateMemoryStackEntry(entry) {
+    const errors = [];
+    const isPlaceholder = value => /^\[.*\]$/.test(value.trim());
+    
+    MEMORY_STACK_FIELDS.forEach(({ key, label }) => {
+        const value = (entry[key] || '').trim();
+        if (!value) {
+            errors.push({ field: key, message: `${label} is required` });
+        } else if (isPlaceholder(value)) {
+            errors.push({ field: key, message: `${label} still contains the template placeholder` });
+        }
+    });
+    
+    const date = (entry.date || '').trim();
+    if (date && !isPlaceholder(date)) {
+        const parsed = new Date(`${date}T00:00:00Z`);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(parsed) || parsed.toISOString().slice(0, 10) !== date) {
+            errors.push({ field: 'date', message: 'Date must be a real date in YYYY-MM-DD format' });
+        }
+    }
+    
+    const decision = (entry.decision || '').trim();
+    if (decision && !isPlaceholder(decision) && decision.split(/\s+/).length < 3) {
+        errors.push({ field: 'decision', message: 'Decision must state what you are executing, not a single word' });
+    }
+    
+    return errors;
+}
+
+/**
+ * Render a Memory Stack entry in the 4-field text format
+ * @param {object} entry - { session, date, decision, usage }
+ * @returns {string} Entry text
+ */
+function formatMemoryStackEntry(entry) {
+    return MEMORY_STACK_FIELDS
+        .map(({ key, label }) => `${label}: ${entry[key] || ''}`)
+        .join('\n');
+}
+
+/**
+ * Get the learner's saved Memory Stack
+ * @returns {Array} Entries, oldest first
+ */
+function getMemoryStack() {
+    try {
+        const stored = localStorage.getItem('warRoomMemoryStack') ||
+                      sessionStorage.getItem('warRoomMemoryStack');
+        const stack = stored ? JSON.parse(stored) : [];
+        return Array.isArray(stack) ? stack : [];
+    } catch (error) {
+        console.error('Error reading memory stack:', error);
+        return [];
+    }
+}
+
+/**
+ * Persist the learner's Memory Stack
+ * @param {Array} stack - Entries to store
+ */
+function writeMemoryStack(stack) {
+    try {
+        localStorage.setItem('warRoomMemoryStack', JSON.stringify(stack));
+    } catch (error) {
+        console.error('Error saving memory stack:', error);
+        try {
+            sessionStorage.setItem('warRoomMemoryStack', JSON.stringify(stack));
+        } catch (sessionError) {
+            console.error('Both localStorage and sessionStorage failed:', sessionError);
+        }
+    }
+}
+
+/**
+ * Add or update an entry in the Memory Stack
+ * @param {object} entry - { session, date, decision, usage }
+ * @param {object} options - { id, lesson } - reuse an id to update in place
+ * @returns {object} The stored entry
+ */
+function saveMemoryStackEntry(entry, options = {}) {
+    const stack = getMemoryStack();
+    const id = options.id || `entry-${Date.now().toString(36)}`;
+    const existing = stack.find(item => item.id === id);
+    
+    const stored = {
+        id: id,
+        session: entry.session.trim(),
+        date: entry.date.trim(),
+        decision: entry.decision.trim(),
+        usage: entry.usage.trim(),
+        lesson: options.lesson || getCurrentLessonNumber() || null,
+        createdAt: existing ? existing.createdAt : new Date().toISOString()
+    };
+    
+    if (existing) {
+        stack[stack.indexOf(existing)] = stored;
+    } else {
+        stack.push(stored);
+    }
+    
+    writeMemoryStack(stack);
+    renderMemoryStackLists();
+    updateMemoryInjectionPanel();
+    return stored;
+}
+
+/**
+ * Remove an entry from the Memory Stack
+ * @param {string} id - Entry id
+ */
+function removeMemoryStackEntry(id) {
+    writeMemoryStack(getMemoryStack().filter(item => item.id !== id));
+    renderMemoryStackLists();
+    updateMemoryInjectionPanel();
+}
+
+/**
+ * Show field errors as a list inside an element
+ * @param {HTMLElement} element - Container for the messages
+ * @param {Array} errors - { field, message } items
+ */
+function renderFieldErrors(element, errors) {
+    if (!element) {
+        return;
+    }
+    
+    element.innerHTML = '';
+    errors.forEach(error => {
+        const item = document.createElement('li');
+        item.textContent = error.message;
+        element.appendChild(item);
+    });
+    element.classList.toggle('visible', errors.length > 0);
+}
+
+/**
+ * Build structured 4-field editors inside every .memory-stack-editor
+ *
+ * data-target="<textarea id>" - write the composed entry into that
+ *   textarea (e.g. a checkpoint answer) and fire its input event
+ * Without data-target the editor gets an "Add to Memory Stack" button
+ */
+function initMemoryStackEditors() {
+    document.querySelectorAll('.memory-stack-editor').forEach(editor => {
+        if (editor.dataset.ready) {
+            return;
+        }
+        editor.dataset.ready = 'true';
+        
+        MEMORY_STACK_FIELDS.forEach(({ key, label, placeholder }) => {
+            const field = document.createElement('label');
+            field.className = 'stack-field';
+            
+            const caption = document.createElement('span');
+            caption.className = 'stack-field-label';
+            caption.textContent = label;
+            
+            const input = document.createElement(key === 'decision' ? 'textarea' : 'input');
+            input.className = 'stack-field-input';
+            input.dataset.field = key;
+            input.placeholder = placeholder;
+            if (key === 'date') {
+                input.type = 'date';
+            }
+            
+            field.append(caption, input);
+            editor.appendChild(field);
+        });
+        
+        const readEntry = () => {
+            const entry = {};
+            editor.querySelectorAll('[data-field]').forEach(input => {
+                entry[input.dataset.field] = input.value;
+            });
+            return entry;
+        };
+        
+        const target = editor.dataset.target ? document.getElementById(editor.dataset.target) : null;
+        
+        if (target) {
+            editor.addEventListener('input', () => {
+                target.value = formatMemoryStackEntry(readEntry());
+                target.dispatchEvent(new Event('input'));
+            });
+            return;
+        }
+        
+        const errorList = document.createElement('ul');
+        errorList.className = 'field-errors';
+        
+        const addButton = document.createElement('button');
+        addButton.type = 'button';
+        addButton.className = 'copy-button';
+        addButton.textContent = 'Add to Memory Stack';
+        addButton.addEventListener('click', () => {
+            const entry = readEntry();
+            const errors = validateMemoryStackEntry(entry);
+            renderFieldErrors(errorList, errors);
+            
+            if (errors.length === 0) {
+                saveMemoryStackEntry(entry);
+                editor.querySelectorAll('[data-field]').forEach(input => {
+                    input.value = '';
+                });
+            }
+        });
+        
+        editor.append(errorList, addButton);
+    });
+}
+
+/**
+ * Render the saved Memory Stack into every .memory-stack-list
+ */
+function renderMemoryStackLists() {
+    const lists = document.querySelectorAll('.memory-stack-list');
+    if (lists.length === 0) {
+        return;
+    }
+    
+    const stack = getMemoryStack();
+    
+    lists.forEach(list => {
+        list.innerHTML = '';
+        
+        if (stack.length === 0) {
+            list.textContent = 'Your Memory Stack is empty.';
+            return;
+        }
+        
+        stack.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'memory-stack-item';
+            
+            const text = document.createElement('pre');
+            text.textContent = formatMemoryStackEntry(entry);
+            
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'copy-button';
+            removeButton.textContent = 'Remove';
+            removeButton.addEventListener('click', () => {
+                if (confirm(`Remove "${entry.session}" from your Memory Stack?`)) {
+                    removeMemoryStackEntry(entry.id);
+                }
+            });
+            
+            item.append(text, removeButton);
+            list.appendChild(item);
+        });
+    });
+}
+
+// ============================================
+// MEMORY STACK RE-INJECTION
+// ============================================
+
+// Ids of Memory Stack entries the learner picked for the next sends
+const selectedMemoryEntryIds = new Set();
+
+// Text of the chat input last typed in, for the payload preview
+let lastTypedPrompt = '';
+
+/**
+ * Get the Memory Stack entries currently selected for re-injection
+ * @returns {Array} Selected entries in stack order
+ */
+function getSelectedMemoryEntries() {
+    return getMemoryStack().filter(entry => selectedMemoryEntryIds.has(entry.id));
+}
+
+/**
+ * Check whether the selected entries are over the worker's context limit
+ * @returns {boolean} True if sending now would be rejected
+ */
+function isMemoryContextOverLimit() {
+    return composeMemoryContext(getSelectedMemoryEntries()).length > CONFIG.MAX_MEMORY_CONTEXT_CHARS;
+}
+
+/**
+ * Hold an idle chat send button disabled while the selected context is
+ * too long, releasing only buttons this check disabled itself
+ * @param {HTMLButtonElement} button - A chat panel's send button
+ */
+function applyMemoryContextLimit(button) {
+    if (isMemoryContextOverLimit()) {
+        if (!button.disabled) {
+            button.disabled = true;
+            button.dataset.contextBlocked = 'true';
+        }
+    } else if (button.dataset.contextBlocked) {
+        button.disabled = false;
+        delete button.dataset.contextBlocked;
+    }
+}
+
+/**
+ * Turn Memory Stack entries into the context block sent to the worker
+ * @param {Array} entries - Entries to re-inject
+ * @returns {string} Context text (empty when no entries)
+ */
+function composeMemoryContext(entries) {
+    return entries.map(formatMemoryStackEntry).join('\n\n');
+}
+
+/**
+ * Add a Memory Stack picker with a live payload preview below the
+ * last chat interface. Hidden until the learner has saved entries.
+ */
+function renderMemoryInjectionPanel() {
+    const chatInterfaces = document.querySelectorAll('.chat-interface');
+    if (chatInterfaces.length === 0 || document.querySelector('.memory-injection')) {
+        return;
+    }
+    
+    const panel = document.createElement('details');
+    panel.className = 'memory-injection';
+    panel.innerHTML = `
+        <summary>Re-inject Memory Stack</summary>
+        <div class="memory-injection-entries"></div>
+        <p class="memory-injection-warning"></p>
+        <p class="memory-injection-label">Payload sent with your next message:</p>
+        <pre class="memory-injection-preview"></pre>
+    `;
+    
+    panel.querySelector('.memory-injection-entries').addEventListener('change', (e) => {
+        if (e.target.type !== 'checkbox') {
+            return;
+        }
+        if (e.target.checked) {
+            selectedMemoryEntryIds.add(e.target.value);
+        } else {
+            selectedMemoryEntryIds.delete(e.target.value);
+        }
+        updateMemoryInjectionPreview();
+    });
+    
+    document.querySelectorAll('.chat-input-area').forEach(input => {
+        input.addEventListener('input', () => {
+            lastTypedPrompt = input.value;
+            updateMemoryInjectionPreview();
+        });
+    });
+    
+    chatInterfaces[chatInterfaces.length - 1].after(panel);
+    updateMemoryInjectionPanel();
+}
+
+/**
+ * Refresh the picker's entry checkboxes from the saved stack
+ */
+function updateMemoryInjectionPanel() {
+    const panel = document.querySelector('.memory-injection');
+    if (!panel) {
+        return;
+    }
+    
+    const stack = getMemoryStack();
+    panel.hidden = stack.length === 0;
+    
+    // Forget selections for entries that were removed
+    const ids = stack.map(entry => entry.id);
+    Array.from(selectedMemoryEntryIds).forEach(id => {
+        if (!ids.includes(id)) {
+            selectedMemoryEntryIds.delete(id);
+        }
+    });
+    
+    const container = panel.querySelector('.memory-injection-entries');
+    container.innerHTML = '';
+    stack.forEach(entry => {
+        const label = document.createElement('label');
+        label.className = 'memory-injection-entry';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = entry.id;
+        checkbox.checked = selectedMemoryEntryIds.has(entry.id);
+        
+        const text = document.createElement('span');
+        text.textContent = `${entry.session} (${entry.date})`;
+        
+        label.append(checkbox, text);
+        container.appendChild(label);
+    });
+    
+    updateMemoryInjectionPreview();
+}
+
+/**
+ * Show exactly what the next send will carry
+ */
+function updateMemoryInjectionPreview() {
+    const panel = document.querySelector('.memory-injection');
+    if (!panel) {
+        return;
+    }
+    
+    const payload = buildChatPayload(lastTypedPrompt || '[your next message]');
+    const contextLength = payload.context ? payload.context.length : 0;
+    
+    panel.querySelector('.memory-injection-preview').textContent = JSON.stringify(payload, null, 2);
+    panel.querySelector('.memory-injection-warning').textContent =
+        contextLength > CONFIG.MAX_MEMORY_CONTEXT_CHARS
+            ? `Selected entries total ${contextLength} characters - the limit is ${CONFIG.MAX_MEMORY_CONTEXT_CHARS}. Deselect some before sending.`
+            : '';
+    
+    document.querySelectorAll('[data-chat] .send-button').forEach(applyMemoryContextLimit);
+}
+
+// ============================================
+// CONVERSATION SESSIONS
+// ============================================
+
+/**
+ * Get the conversation session id for the current page
+ * @returns {string} Session id (e.g. 'lesson13')
+ */
+function getCurrentSessionId() {
+    const lessonNumber = getCurrentLessonNumber();
+    return lessonNumber > 0 ? `lesson${lessonNumber}` : 'general';
+}
+
+/**
+ * Get all stored conversation sessions
+ * @returns {object} Sessions keyed by session id
+ */
+function getConversationStore() {
+    try {
+        const stored = localStorage.getItem('warRoomConversations') ||
+                      sessionStorage.getItem('warRoomConversations');
+        return stored ? JSON.parse(stored) : {};
+    } catch (error) {
+        console.error('Error reading conversations:', error);
+        return {};
+    }
+}
+
+/**
+ * Persist all conversation sessions
+ * @param {object} store - Sessions keyed by session id
+ */
+function saveConversationStore(store) {
+    try {
+        localStorage.setItem('warRoomConversations', JSON.stringify(store));
+    } catch (error) {
+        console.error('Error saving conversations:', error);
+        try {
+            sessionStorage.setItem('warRoomConversations', JSON.stringify(store));
+        } catch (sessionError) {
+            console.error('Both localStorage and sessionStorage failed:', sessionError);
+        }
+    }
+}
+
+/**
+ * Get a session, creating it with an empty main thread if needed
+ * @param {object} store - Sessions keyed by session id
+ * @param {string} sessionId - Session to get
+ * @returns {object} Session with active thread id and threads
+ */
+function ensureSession(store, sessionId) {
+    if (!store[sessionId] || !store[sessionId].threads) {
+        store[sessionId] = {
+            activeThread: 'main',
+            threads: {
+                main: { messages: [], forkedFrom: null, createdAt: new Date().toISOString() }
+            }
+        };
+    }
+    return store[sessionId];
+}
+
+/**
+ * Get the active thread of a conversation session
+ * @param {string} sessionId - Session id (defaults to current lesson)
+ * @returns {object} Thread with id, messages and forkedFrom
+ */
+function getConversation(sessionId = getCurrentSessionId()) {
+    const store = getConversationStore();
+    const session = ensureSession(store, sessionId);
+    const thread = session.threads[session.activeThread];
+    return { id: session.activeThread, ...thread };
+}
+
+/**
+ * Append a turn to the active thread of a session
+ * @param {string} sessionId - Session id
+ * @param {string} role - 'user' or 'assistant'
+ * @param {string} content - Turn text
+ */
+function appendConversationTurn(sessionId, role, content) {
+    const store = getConversationStore();
+    const session = ensureSession(store, sessionId);
+    session.threads[session.activeThread].messages.push({ role, content });
+    saveConversationStore(store);
+}
+
+/**
+ * Clear the active thread so the next message starts fresh
+ * @param {string} sessionId - Session id (defaults to current lesson)
+ */
+function resetConversation(sessionId = getCurrentSessionId()) {
+    const store = getConversationStore();
+    const session = ensureSession(store, sessionId);
+    session.threads[session.activeThread].messages = [];
+    saveConversationStore(store);
+    updateConversationControls(sessionId);
+}
+
+/**
+ * Copy the active thread into a new thread and switch to it
+ * The original thread is kept so the learner can compare branches
+ * @param {string} sessionId - Session id (defaults to current lesson)
+ * @returns {string} Id of the new thread
+ */
+function forkConversation(sessionId = getCurrentSessionId()) {
+    const store = getConversationStore();
+    const session = ensureSession(store, sessionId);
+    const source = session.threads[session.activeThread];
+    
+    let forkNumber = 1;
+    while (session.threads[`fork-${forkNumber}`]) {
+        forkNumber++;
+    }
+    const threadId = `fork-${forkNumber}`;
+    
+    session.threads[threadId] = {
+        messages: source.messages.map(message => ({ ...message })),
+        forkedFrom: session.activeThread,
+        createdAt: new Date().toISOString()
+    };
+    session.activeThread = threadId;
+    saveConversationStore(store);
+    updateConversationControls(sessionId);
+    
+    return threadId;
+}
+
+/**
+ * Make another existing thread the active one
+ * @param {string} threadId - Thread to switch to
+ * @param {string} sessionId - Session id (defaults to current lesson)
+ */
+function switchConversationThread(threadId, sessionId = getCurrentSessionId()) {
+    const store = getConversationStore();
+    const session = ensureSession(store, sessionId);
+    
+    if (session.threads[threadId]) {
+        session.activeThread = threadId;
+        saveConversationStore(store);
+    }
+    updateConversationControls(sessionId);
+}
+
+/**
+ * Build the messages payload for a new prompt, dropping the oldest
+ * turns so the request stays within the worker's turn and size limits
+ * @param {Array} history - Prior turns of the thread
+ * @param {string} prompt - New user prompt
+ * @returns {Array} Messages starting with a user turn
+ */
+function buildConversationPayload(history, prompt) {
+    let messages = history.concat({ role: 'user', content: prompt });
+    const totalLength = turns => turns.reduce((sum, message) => sum + message.content.length, 0);
+    
+    while (messages.length > 1 &&
+           (messages.length > CONFIG.MAX_CONVERSATION_MESSAGES || totalLength(messages) > CONFIG.MAX_CONVERSATION_CHARS)) {
+        // Drop one user/assistant pair to keep the user-first ordering
+        messages = messages.slice(2);
+    }
+    
+    return messages;
+}
+
+/**
+ * Build the request body for the worker: conversation turns, the
+ * lesson's exercise profile and any Memory Stack entries selected
+ * for re-injection
+ * @param {string} prompt - New user prompt
+ * @param {string} sessionId - Conversation session
+ * @returns {object} Request body
+ */
+function buildChatPayload(prompt, sessionId = getCurrentSessionId()) {
+    const payload = {
+        messages: buildConversationPayload(getConversation(sessionId).messages, prompt),
+        profile: getExerciseProfile(getCurrentLessonNumber()),
+        lesson: getCurrentLessonNumber()
+    };
+    
+    const context = composeMemoryContext(getSelectedMemoryEntries());
+    if (context) {
+        payload.context = context;
+    }
+    
+    return payload;
+}
+
+/**
+ * Add thread controls (turn count, thread picker, reset, fork)
+ * below the last chat interface on the page
+ */
+function renderConversationControls() {
+    const chatInterfaces = document.querySelectorAll('.chat-interface');
+    if (chatInterfaces.length === 0 || document.querySelector('.conversation-controls')) {
+        return;
+    }
+    
+    const controls = document.createElement('div');
+    controls.className = 'conversation-controls';
+    controls.innerHTML = `
+        <span class="conversation-status"></span>
+        <select class="conversation-thread-select" aria-label="Conversation thread"></select>
+        <button type="button" class="copy-button conversation-reset">Reset Thread</button>
+        <button type="button" class="copy-button conversation-fork">Fork Thread</button>
+    `;
+    
+    controls.querySelector('.conversation-reset').addEventListener('click', () => {
+        if (confirm('Clear this thread? The AI will forget every prior turn.')) {
+            resetConversation();
+        }
+    });
+    controls.querySelector('.conversation-fork').addEventListener('click', () => {
+        forkConversation();
+    });
+    controls.querySelector('.conversation-thread-select').addEventListener('change', (e) => {
+        switchConversationThread(e.target.value);
+    });
+    
+    chatInterfaces[chatInterfaces.length - 1].after(controls);
+    updateConversationControls();
+}
+
+/**
+ * Refresh thread controls (and the payload preview) to match stored
+ * session state
+ * @param {string} sessionId - Session id (defaults to current lesson)
+ */
+function updateConversationControls(sessionId = getCurrentSessionId()) {
+    // Thread history is part of the previewed payload
+    updateMemoryInjectionPreview();
+    
+    const controls = document.querySelector('.conversation-controls');
+    if (!controls) {
+        return;
+    }
+    
+    const store = getConversationStore();
+    const session = ensureSession(store, sessionId);
+    const thread = session.threads[session.activeThread];
+    const turns = Math.floor(thread.messages.length / 2);
+    
+    controls.querySelector('.conversation-status').textContent =
+        turns === 0 ? 'New thread' : `${turns} exchange${turns === 1 ? '' : 's'} in thread`;
+    
+    const select = controls.querySelector('.conversation-thread-select');
+    select.innerHTML = '';
+    Object.keys(session.threads).forEach(threadId => {
+        const option = document.createElement('option');
+        option.value = threadId;
+        option.textContent = threadId;
+        option.selected = threadId === session.activeThread;
+        select.appendChild(option);
+    });
+}
+
+// ============================================
+// CHAT FUNCTIONALITY
+// ============================================
+
+/**
+ * Get this browser's learner token, creating it on first use
+ * Sent to the worker so rate limits follow the learner, not just the IP
+ * @returns {string|null} Token, or null if storage is unavailable
+ */
+function getLearnerToken() {
+    try {
+        let token = localStorage.getItem(CONFIG.LEARNER_TOKEN_KEY);
+        if (!token) {
+            token = crypto.randomUUID();
+            localStorage.setItem(CONFIG.LEARNER_TOKEN_KEY, token);
+        }
+        return token;
+    } catch (error) {
+        console.error('Error reading learner token:', error);
+        return null;
+    }
+}
+
+/**
+ * Headers for every request to the worker
+ * @returns {object} Request headers
+ */
+function getWorkerHeaders() {
+    const headers = {
+        'Content-Type': 'application/json'
+    };
+    
+    const token = getLearnerToken();
+    if (token) {
+        headers['X-Learner-Token'] = token;
+    }
+    
+    const session = getSession();
+    if (session) {
+        headers['Authorization'] = `Bearer ${session.token}`;
+    }
+    
+    return headers;
+}
+
+/**
+ * Read Retry-After from a 429 response
+ * @param {Response} response - The rate-limited response
+ * @returns {number|null} Seconds to wait, or null if not given
+ */
+function getRetryAfterSeconds(response) {
+    const value = response.headers.get('Retry-After');
+    if (!value) {
+        return null;
+    }
+    
+    // Either delta-seconds or an HTTP date
+    const seconds = /^\d+$/.test(value)
+        ? Number(value)
+        : Math.ceil((Date.parse(value) - Date.now()) / 1000);
+    
+    return Number.isFinite(seconds) && seconds > 0 ? seconds : null;
+}
+
+/**
+ * Format seconds as m:ss (or h:mm:ss)
+ * @param {number} seconds - Whole seconds
+ * @returns {string} Countdown text
+ */
+function formatCountdown(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = String(seconds % 60).padStart(2, '0');
+    
+    return hours > 0
+        ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+        : `${minutes}:${secs}`;
+}
+
+/**
+ * Describe a token-budget refusal (402 course-wide, 429 per learner)
+ * @param {Response} response - Failed worker response
+ * @returns {Promise<string|null>} Message with the reset time, or null for other errors
+ */
+async function getBudgetExceededMessage(response) {
+    if (response.status !== 402 && response.status !== 429) {
+        return null;
+    }
+    
+    try {
+        const data = await response.clone().json();
+        if (!/_budget_exceeded$/.test(data.code || '')) {
+            return null;
+        }
+        return `${data.error} It resets ${new Date(data.resetAt).toLocaleString()}.`;
+    } catch (error) {
+        return null;
+    }
+}
+
+// What learners are told when the worker refuses or fails a chat request
+// (keyed by the worker's error code; 'network' covers unreachable workers)
+const CHAT_ERROR_MESSAGES = {
+    prompt_blocked: 'This prompt was not sent to the AI. Edit it and send again:',
+    upstream_timeout: 'The AI took too long to answer. Your prompt is still here - try again.',
+    upstream_overloaded: 'The AI service is busy right now. Wait a moment, then try again.',
+    upstream_unavailable: 'The AI service is temporarily unavailable. Try again in a minute.',
+    upstream_interrupted: 'The response was cut off partway. Try again for a complete answer.',
+    empty_response: 'The AI returned an empty answer. Try again.',
+    context_too_long: 'The Memory Stack entries selected for re-injection are too long. Deselect some, then send again.',
+    prompt_too_long: `This prompt is over ${CONFIG.MAX_PROMPT_CHARS} characters, so it was not sent. Shorten it or split it across messages, then send again.`,
+    upstream_rejected: 'The AI could not process this prompt. Try shortening or rewording it, or start a new thread.',
+    service_misconfigured: 'The AI service is not set up correctly. Let your instructor know.',
+    network: 'Could not reach the AI service. Check your connection, then try again.'
+};
+
+/**
+ * Read the error code of a failed chat response
+ * @param {Response} response - Failed worker response
+ * @returns {Promise<{code: string|null, retryable: boolean, reasons: string[]}>} Code, whether a retry may help, and guardrail reasons
+ */
+async function getChatError(response) {
+    try {
+        const data = await response.clone().json();
+        if (typeof data.code === 'string' && CHAT_ERROR_MESSAGES[data.code]) {
+            const reasons = Array.isArray(data.reasons)
+                ? data.reasons.map(reason => reason && reason.message).filter(message => typeof message === 'string')
+                : [];
+            return { code: data.code, retryable: data.retryable !== false, reasons };
+        }
+    } catch (error) {
+        // Not JSON - treat as an unreachable worker
+    }
+    return { code: null, retryable: true, reasons: [] };
+}
+
+/**
+ * Learner-facing explanation for a failed postToWorker call
+ * @param {object} result - { status, data } from postToWorker
+ * @returns {string} Message, with guardrail reasons appended
+ */
+function getWorkerFailureMessage(result) {
+    const code = result.data.code || '';
+    if (code === 'prompt_blocked' && Array.isArray(result.data.reasons)) {
+        const reasons = result.data.reasons.map(reason => reason && reason.message).filter(Boolean);
+        return `${CHAT_ERROR_MESSAGES.prompt_blocked} ${reasons.join(' ')}`;
+    }
+    
+    return CHAT_ERROR_MESSAGES[code] ||
+        (/_budget_exceeded$/.test(code) ? result.data.error : null) ||
+        (result.status === 429 ? CONFIG.RATE_LIMIT_MESSAGE : null) ||
+        result.data.error ||
+        CHAT_ERROR_MESSAGES.network;
+}
+
+/**
+ * Show a chat failure, with any listed details and a retry button under it
+ * Both live inside the response area, so the next send clears them
+ * @param {HTMLElement} responseElement - Where the message is shown
+ * @param {string} message - Learner-facing explanation
+ * @param {function|null} onRetry - Resends the prompt; null hides the button
+ * @param {string[]} details - Bullet points shown under the message
+ */
+function showChatError(responseElement, message, onRetry, details = []) {
+    responseElement.textContent = message;
+    
+    if (details.length > 0) {
+        const list = document.createElement('ul');
+        list.className = 'chat-error-details';
+        details.forEach(detail => {
+            const item = document.createElement('li');
+            item.textContent = detail;
+            list.appendChild(item);
+        });
+        responseElement.appendChild(list);
+    }
+    
+    if (!onRetry) {
+        return;
+    }
+    
+    const retryButton = document.createElement('button');
+    retryButton.type = 'button';
+    retryButton.className = 'retry-button';
+    retryButton.textContent = 'Try Again';
+    retryButton.addEventListener('click', onRetry);
+    responseElement.appendChild(retryButton);
+}
+
+/**
+ * Count down a rate-limit wait, holding the send button until it ends
+ * @param {HTMLElement} responseElement - Where the countdown is shown
+ * @param {HTMLButtonElement} sendButton - Button to hold disabled
+ * @param {number} seconds - Seconds until the worker accepts requests again
+ */
+function startRateLimitCountdown(responseElement, sendButton, seconds) {
+    const endsAt = Date.now() + seconds * 1000;
+    let timer = null;
+    
+    const tick = () => {
+        const remaining = Math.ceil((endsAt - Date.now()) / 1000);
+        
+        if (remaining <= 0) {
+            clearInterval(timer);
+            responseElement.textContent = 'Rate limit cleared. You can send again.';
+            sendButton.disabled = false;
+            sendButton.textContent = 'Send to AI';
+            applyMemoryContextLimit(sendButton);
+            return;
+        }
+        
+        responseElement.textContent = `Rate limit reached. You can send again in ${formatCountdown(remaining)}.`;
+        sendButton.disabled = true;
+        sendButton.textContent = `Wait ${formatCountdown(remaining)}`;
+    };
+    
+    tick();
+    timer = setInterval(tick, 1000);
+}
+
+/**
+ * Read the worker's server-sent event stream, passing each text delta
+ * to onText as it arrives
+ * @param {Response} response - Streaming fetch response
+ * @param {function} onText - Called with each text delta
+ * @returns {Promise<string>} Full response text
+ * @throws {Error} With chatErrorCode when the stream errors or ends without a done event
+ */
+async function readResponseStream(response, onText) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let fullText = '';
+    
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) {
+            break;
+        }
+        
+        buffer += decoder.decode(value, { stream: true });
+        const events = buffer.split('\n\n');
+        buffer = events.pop();
+        
+        for (const rawEvent of events) {
+            const lines = rawEvent.split('\n');
+            const eventLine = lines.find(line => line.startsWith('event:'));
+            const eventType = eventLine ? eventLine.slice(6).trim() : 'message';
+            const data = lines
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.slice(5).trim())
+                .join('');
+            
+            if (eventType === 'done') {
+                return fullText;
+            }
+            
+            const payload = data ? JSON.parse(data) : {};
+            
+            if (eventType === 'error') {
+                const streamError = new Error(payload.error || 'AI stream interrupted');
+                streamError.chatErrorCode = payload.code || 'upstream_interrupted';
+                streamError.retryable = payload.retryable !== false;
+                throw streamError;
+            }
+            
+            if (payload.text) {
+                fullText += payload.text;
+                onText(payload.text);
+            }
+        }
+    }
+    
+    // The worker always ends a complete reply with a done event, so
+    // a stream that closes without one was cut off partway
+    const cutOffError = new Error('AI stream ended without a done event');
+    cutOffError.chatErrorCode = 'upstream_interrupted';
+    cutOffError.retryable = true;
+    throw cutOffError;
+}
+
+/**
+ * Show a cancel button next to the send button while a request runs
+ * @param {HTMLElement} sendButton - The send button of the chat
+ * @param {AbortController} controller - Aborts the in-flight fetch
+ * @returns {HTMLElement} The cancel button
+ */
+function showCancelButton(sendButton, controller) {
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.className = 'cancel-button';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', () => controller.abort());
+    sendButton.after(cancelButton);
+    return cancelButton;
+}
+
+/**
+ * Send prompt to AI as the next turn of the lesson's conversation
+ * and display the response, streaming tokens in as they arrive
+ * @param {string} prompt - The prompt to send
+ * @param {string} responseElementId - ID of element to display response in
+ * @param {string} sessionId - Conversation session (defaults to current lesson)
+ */
+async function sendToAI(prompt, responseElementId, sessionId = getCurrentSessionId()) {
+    const responseElement = document.getElementById(responseElementId);
+    const chatInterface = responseElement.closest('.chat-interface');
+    const sendButton = (chatInterface && chatInterface.querySelector('.send-button')) ||
+                       document.querySelector('.send-button');
+    
+    if (!prompt.trim()) {
+        alert('Please enter a prompt');
+        return;
+    }
+    
+    // The worker rejects an oversized prompt or context, so don't spend a request on either
+    if (prompt.length > CONFIG.MAX_PROMPT_CHARS) {
+        showChatError(responseElement, CHAT_ERROR_MESSAGES.prompt_too_long, null);
+        return;
+    }
+    
+    if (isMemoryContextOverLimit()) {
+        showChatError(responseElement, CHAT_ERROR_MESSAGES.context_too_long, null);
+        applyMemoryContextLimit(sendButton);
+        return;
+    }
+    
+    const controller = new AbortController();
+    const streaming = CONFIG.STREAM_RESPONSES && typeof ReadableStream !== 'undefined';
+    let cancelButton = null;
+    let coolingDown = false;
+    
+    try {
+        // Show loading state
+        responseElement.textContent = 'Thinking';
+        responseElement.classList.add('visible', 'loading');
+        sendButton.disabled = true;
+        sendButton.textContent = 'Sending...';
+        cancelButton = showCancelButton(sendButton, controller);
+        
+        const payload = buildChatPayload(prompt, sessionId);
+        payload.stream = streaming;
+        
+        // Call Cloudflare Worker
+        const response = await fetch(CONFIG.WORKER_URL, {
+            method: 'POST',
+            headers: getWorkerHeaders(),
+            body: JSON.stringify(payload),
+            signal: controller.signal
+        });
+        
+        if (!response.ok) {
+            const budgetMessage = await getBudgetExceededMessage(response);
+            if (budgetMessage) {
+                const budgetError = new Error(budgetMessage);
+                budgetError.budgetExceeded = true;
+                throw budgetError;
+            }
+            if (response.status === 429) {
+                const rateLimitError = new Error(CONFIG.RATE_LIMIT_MESSAGE);
+                rateLimitError.retryAfter = getRetryAfterSeconds(response);
+                throw rateLimitError;
+            }
+            const chatError = await getChatError(response);
+            const failure = new Error('Failed to connect to AI');
+            failure.chatErrorCode = chatError.code;
+            failure.retryable = chatError.retryable;
+            failure.reasons = chatError.reasons;
+            throw failure;
+        }
+        
+        let reply;
+        const contentType = response.headers.get('Content-Type') || '';
+        
+        if (contentType.includes('text/event-stream') && response.body) {
+            // Render tokens as they arrive
+            let started = false;
+            reply = await readResponseStream(response, (text) => {
+                if (!started) {
+                    started = true;
+                    responseElement.classList.remove('loading');
+                    responseElement.textContent = '';
+                }
+                responseElement.textContent += text;
+            });
+        } else {
+            // Blocking JSON fallback
+            const data = await response.json();
+            reply = data.response;
+        }
+        
+        // An empty assistant turn would make the worker reject the thread
+        if (typeof reply !== 'string' || !reply.trim()) {
+            const emptyError = new Error('Empty AI response');
+            emptyError.chatErrorCode = 'empty_response';
+            emptyError.retryable = true;
+            throw emptyError;
+        }
+        
+        // Record both sides of the exchange in the thread
+        appendConversationTurn(sessionId, 'user', prompt);
+        appendConversationTurn(sessionId, 'assistant', reply);
+        updateConversationControls(sessionId);
+        
+        // Display response
+        responseElement.classList.remove('loading');
+        responseElement.textContent = reply;
+        
+        // Show checkpoint section
+        const checkpointSection = document.querySelector('.checkpoint-section');
+        if (checkpointSection) {
+            setTimeout(() => {
+                checkpointSection.classList.add('visible');
+            }, 300);
+        }
+        
+    } catch (error) {
+        responseElement.classList.remove('loading');
+        
+        if (error.name === 'AbortError') {
+            // Keep any partial text; the exchange is not added to the thread
+            const partial = responseElement.textContent === 'Thinking' ? '' : responseElement.textContent;
+            responseElement.textContent = partial + (partial ? '\n\n' : '') + '[Response cancelled]';
+            return;
+        }
+        
+        if (error.budgetExceeded) {
+            responseElement.textContent = error.message;
+            return;
+        }
+        
+        if (error.retryAfter) {
+            coolingDown = true;
+            startRateLimitCountdown(responseElement, sendButton, error.retryAfter);
+            return;
+        }
+        
+        if (error.message === CONFIG.RATE_LIMIT_MESSAGE) {
+            responseElement.textContent = CONFIG.RATE_LIMIT_MESSAGE;
+            return;
+        }
+        
+        if (error.chatErrorCode === 'prompt_blocked') {
+            // The prompt stays in the input box for editing
+            showChatError(responseElement, CHAT_ERROR_MESSAGES.prompt_blocked, null, error.reasons);
+            return;
+        }
+        
+        console.error('AI request error:', error);
+        const message = CHAT_ERROR_MESSAGES[error.chatErrorCode] || CHAT_ERROR_MESSAGES.network;
+        const retry = error.retryable === false ? null : () => sendToAI(prompt, responseElementId, sessionId);
+        showChatError(responseElement, message, retry);
+    } finally {
+        if (cancelButton) {
+            cancelButton.remove();
+        }
+        if (!coolingDown) {
+            sendButton.disabled = false;
+            sendButton.textContent = 'Send to AI';
+            applyMemoryContextLimit(sendButton);
+        }
+    }
+}
+
+// ============================================
+// CHECKPOINT VALIDATION
+// ============================================
+
+/**
+ * Validate checkpoint answer and enable continue button
+ * With grading on, a valid answer only unlocks continuation once it
+ * has passed review (or review was unavailable)
+ * @param {string} answer - The checkpoint answer
+ * @param {object} options - Which checkpoint is being validated
+ * @param {number} options.lessonNumber - Lesson the answer belongs to (defaults to the current page)
+ * @param {number} options.minLength - Minimum required character length (defaults to the lesson's minimum)
+ * @param {ParentNode} options.container - Checkpoint block holding the counter and buttons
+ * @returns {boolean} True if the answer may be saved and the learner may continue
+ */
+function validateCheckpoint(answer, {
+    lessonNumber = getCurrentLessonNumber(),
+    minLength = getCheckpointMinLength(lessonNumber),
+    container = document
+} = {}) {
+    const trimmedAnswer = answer.trim();
+    let isValid = trimmedAnswer.length >= minLength;
+    
+    // Lessons that ask for a Memory Stack entry must match the 4-field format
+    if (getCheckpointFormat(lessonNumber) === 'memory-stack') {
+        const { errors } = parseMemoryStackEntry(answer);
+        renderFieldErrors(container.querySelector('.checkpoint-errors'), errors);
+        isValid = isValid && errors.length === 0;
+    }
+    
+    // Update character counter
+    const charCounter = container.querySelector('.char-counter');
+    if (charCounter) {
+        charCounter.textContent = `${trimmedAnswer.length} / ${minLength} characters minimum`;
+        
+        if (isValid) {
+            charCounter.classList.add('valid');
+        } else {
+            charCounter.classList.remove('valid');
+        }
+    }
+    
+    // Length and format are enough to request a review
+    const reviewButton = container.querySelector('.review-button');
+    if (reviewButton) {
+        reviewButton.disabled = !isValid;
+    }
+    
+    const canContinue = isValid && isDriftExerciseComplete(lessonNumber) && isStressTestComplete(lessonNumber) &&
+        (!isGradingEnabled(lessonNumber) || isCheckpointAccepted(lessonNumber, trimmedAnswer));
+    
+    // Enable/disable continue button
+    const continueButton = container.querySelector('.checkpoint-section .cta-button') ||
+                           container.querySelector('.cta-button');
+    if (continueButton) {
+        continueButton.toggleAttribute('disabled', !canContinue);
+    }
+    
+    return canContinue;
+}
+
+/**
+ * Save checkpoint answer when valid and mark lesson complete
+ * @param {number} lessonNumber - Current lesson number
+ * @param {string} answer - The checkpoint answer
+ */
+function saveCheckpoint(lessonNumber, answer) {
+    // Save answer alongside the lesson's progress entry
+    const progress = getProgressData();
+    const entry = getLessonEntry(progress, lessonNumber);
+    entry.checkpoint = answer;
+    entry.updatedAt = new Date().toISOString();
+    
+    if (writeProgress(progress)) {
+        console.log(`Checkpoint saved for lesson ${lessonNumber}`);
+    }
+    
+    // A Memory Stack checkpoint also becomes the learner's stack entry
+    if (getCheckpointFormat(lessonNumber) === 'memory-stack') {
+        const { entry, errors } = parseMemoryStackEntry(answer);
+        if (errors.length === 0) {
+            saveMemoryStackEntry(entry, { id: `lesson${lessonNumber}-checkpoint`, lesson: lessonNumber });
+        }
+    }
+    
+    // Mark lesson as complete
+    saveProgress(lessonNumber);
+}
+
+/**
+ * Get the saved checkpoint answer for a lesson
+ * @param {number} lessonNumber - The lesson number
+ * @returns {string|null} Saved answer, or null
+ */
+function getCheckpointAnswer(lessonNumber) {
+    const entry = getProgressData().lessons[`lesson${lessonNumber}`];
+    return entry ? entry.checkpoint : null;
+}
+
+// ============================================
+// CHECKPOINT REVIEW
+// ============================================
+
+// Answers accepted this visit (passed review, or review unavailable), by lesson
+const checkpointReviews = {};
+
+// Lessons with an answer the grader failed this visit - an outage can't unlock these
+const failedCheckpointReviews = new Set();
+
+// Lessons whose saved answer was sent for review after the server rejected it this visit
+const resubmittedCheckpoints = new Set();
+
+// Worker error codes meaning the grader can't review right now, not that the answer was refused
+const GRADING_OUTAGE_CODES = [
+    'upstream_timeout',
+    'upstream_overloaded',
+    'upstream_unavailable',
+    'upstream_rejected',
+    'service_misconfigured',
+    'course_budget_exceeded',
+    'grading_unreadable'
+];
+
+/**
+ * Check whether AI review gates a lesson's checkpoint
+ * @param {number} lessonNumber - The lesson number
+ * @returns {boolean} True if answers must pass review
+ */
+function isGradingEnabled(lessonNumber) {
+    return CONFIG.CHECKPOINT_GRADING && Boolean(getLesson(lessonNumber));
+}
+
+/**
+ * Check whether an answer has already been accepted
+ * An answer saved for a completed lesson stays accepted on later visits
+ * @param {number} lessonNumber - The lesson number
+ * @param {string} answer - Trimmed checkpoint answer
+ * @returns {boolean} True if accepted
+ */
+function isCheckpointAccepted(lessonNumber, answer) {
+    if (checkpointReviews[lessonNumber] === answer) {
+        return true;
+    }
+    
+    const progress = getProgressData();
+    const saved = getCheckpointAnswer(lessonNumber);
+    return isLessonComplete(progress, lessonNumber) && saved !== null && saved.trim() === answer;
+}
+
+/**
+ * Add the review button and feedback panel under the checkpoint counter
+ * @param {ParentNode} container - Checkpoint block to add them to
+ * @param {number} lessonNumber - Lesson the checkpoint belongs to
+ */
+function renderCheckpointReviewControls(container = document, lessonNumber = getCurrentLessonNumber()) {
+    const charCounter = container.querySelector('.char-counter');
+    if (!charCounter || !isGradingEnabled(lessonNumber) || container.querySelector('.review-button')) {
+        return;
+    }
+    
+    const reviewButton = document.createElement('button');
+    reviewButton.type = 'button';
+    reviewButton.className = 'send-button review-button';
+    reviewButton.textContent = 'Submit for Review';
+    reviewButton.disabled = true;
+    reviewButton.addEventListener('click', () => submitCheckpointForReview(lessonNumber, container));
+    
+    const reviewPanel = document.createElement('div');
+    reviewPanel.className = 'checkpoint-review';
+    
+    charCounter.after(reviewButton, reviewPanel);
+}
+
+/**
+ * Send the checkpoint answer to the worker's grader and show feedback
+ * Falls back to the length check only when the grader can't be reached
+ * or reports an outage; any other refusal keeps Continue locked
+ * @param {number} lessonNumber - The lesson number
+ * @param {ParentNode} container - Checkpoint block being reviewed
+ */
+async function submitCheckpointForReview(lessonNumber = getCurrentLessonNumber(), container = document) {
+    const input = container.querySelector('.checkpoint-input');
+    const reviewButton = container.querySelector('.review-button');
+    const reviewPanel = container.querySelector('.checkpoint-review');
+    if (!input || !reviewButton || !reviewPanel) {
+        return;
+    }
+    
+    const answer = input.value.trim();
+    
+    try {
+        reviewButton.disabled = true;
+        reviewButton.textContent = 'Reviewing...';
+        reviewPanel.classList.add('visible', 'loading');
+        reviewPanel.textContent = 'Reviewing your answer';
+        
+        let result;
+        try {
+            result = await postToWorker('/grade', {
+                lesson: lessonNumber,
+                answer: answer
+            });
+        } catch (error) {
+            console.warn('Checkpoint review unreachable:', error);
+            acceptCheckpointWithoutReview(lessonNumber, answer, reviewPanel);
+            return;
+        }
+        
+        if (isGradingOutage(result)) {
+            console.warn(`Checkpoint review unavailable (${result.status})`);
+            acceptCheckpointWithoutReview(lessonNumber, answer, reviewPanel);
+            return;
+        }
+        
+        if (!result.ok) {
+            console.warn(`Checkpoint review refused (${result.status}):`, result.data.error);
+            reviewPanel.textContent = getWorkerFailureMessage(result);
+            return;
+        }
+        
+        renderCheckpointReview(reviewPanel, result.data);
+        
+        if (result.data.verdict === 'pass') {
+            checkpointReviews[lessonNumber] = answer;
+            failedCheckpointReviews.delete(lessonNumber);
+        } else {
+            failedCheckpointReviews.add(lessonNumber);
+        }
+        
+    } catch (error) {
+        console.error('Error showing checkpoint review:', error);
+        reviewPanel.textContent = 'Could not show the review. Please submit again.';
+    } finally {
+        reviewPanel.classList.remove('loading');
+        reviewButton.textContent = 'Submit for Review';
+        
+        // Re-run the checkpoint's input handler so an accepted answer is saved
+        input.dispatchEvent(new Event('input'));
+    }
+}
+
+/**
+ * Send answers the server would not accept without a grading pass for
+ * review, then sync again if any passed
+ * Each lesson is tried once per visit, so a failing answer or a grader
+ * outage does not loop; it stays complete locally and is retried on a
+ * later visit
+ * @param {Array<object>} rejected - Rejections from /progress/sync
+ */
+async function reviewRejectedCheckpoints(rejected) {
+    const progress = getProgressData();
+    const lessonNumbers = rejected
+        .filter(item => item.needsReview && !resubmittedCheckpoints.has(item.lesson))
+        .map(item => item.lesson)
+        .filter(lessonNumber => {
+            const entry = progress.lessons[`lesson${lessonNumber}`];
+            return entry && entry.completed && entry.checkpoint;
+        })
+        .sort((a, b) => a - b);
+    
+    let passed = 0;
+    for (const lessonNumber of lessonNumbers) {
+        resubmittedCheckpoints.add(lessonNumber);
+        
+        try {
+            const result = await postToWorker('/grade', {
+                lesson: lessonNumber,
+                answer: progress.lessons[`lesson${lessonNumber}`].checkpoint.trim()
+            });
+            if (result.ok && result.data.verdict === 'pass') {
+                passed++;
+            }
+        } catch (error) {
+            console.warn(`Could not review the lesson ${lessonNumber} answer:`, error);
+            break;
+        }
+    }
+    
+    if (passed > 0) {
+        scheduleProgressSync();
+    }
+}
+
+/**
+ * Check whether a failed /grade response means the grader is unavailable
+ * Decided by the worker's error code; an uncoded server error counts as
+ * an outage, while refusals (blocked answers, invalid requests, a
+ * learner's own rate limit or budget) do not
+ * @param {object} result - { ok, status, data } from postToWorker()
+ * @returns {boolean} True if the answer should fall back to the length check
+ */
+function isGradingOutage(result) {
+    if (result.ok) {
+        return false;
+    }
+    if (result.data && result.data.code) {
+        return GRADING_OUTAGE_CODES.includes(result.data.code);
+    }
+    return result.status >= 500;
+}
+
+/**
+ * Accept an answer on the length check alone while the grader is down
+ * A lesson the grader already failed this visit stays locked until it
+ * can review the revision
+ * @param {number} lessonNumber - The lesson number
+ * @param {string} answer - Trimmed checkpoint answer
+ * @param {HTMLElement} reviewPanel - Feedback container
+ */
+function acceptCheckpointWithoutReview(lessonNumber, answer, reviewPanel) {
+    if (failedCheckpointReviews.has(lessonNumber)) {
+        reviewPanel.textContent = 'Automated review is unavailable right now. ' +
+            'Your last answer did not pass, so submit your revision again once review is back.';
+        return;
+    }
+    
+    checkpointReviews[lessonNumber] = answer;
+    reviewPanel.textContent = 'Automated review is unavailable right now. ' +
+        'Your answer meets the length requirement, so you may continue.';
+}
+
+/**
+ * Render rubric feedback from the grader
+ * @param {HTMLElement} panel - Feedback container
+ * @param {object} result - { verdict, criteria, feedback }
+ */
+function renderCheckpointReview(panel, result) {
+    panel.innerHTML = '';
+    
+    const verdict = document.createElement('p');
+    verdict.className = `review-verdict ${result.verdict}`;
+    verdict.textContent = result.verdict === 'pass'
+        ? 'PASS - you may continue.'
+        : 'NOT YET - revise your answer and submit again.';
+    panel.appendChild(verdict);
+    
+    const list = document.createElement('ul');
+    list.className = 'review-criteria';
+    result.criteria.forEach(criterion => {
+        const item = document.createElement('li');
+        item.className = criterion.passed ? 'passed' : 'failed';
+        item.textContent = `${criterion.passed ? '✓' : '✗'} ${criterion.description}` +
+            (criterion.feedback ? ` - ${criterion.feedback}` : '');
+        list.appendChild(item);
+    });
+    panel.appendChild(list);
+    
+    if (result.feedback) {
+        const feedback = document.createElement('p');
+        feedback.className = 'review-feedback';
+        feedback.textContent = result.feedback;
+        panel.appendChild(feedback);
+    }
+}
+
+// ============================================
+// DRIFT DETECTION
+// ============================================
+
+/*
+ * A drift exercise asks the AI one decision question, then asks it
+ * again after scripted changes (an irrelevant detail, social pressure,
+ * a real change in facts) within a single conversation. Each answer is
+ * compared with the one before it; reversed recommendations, softened
+ * rules and dropped constraints are flagged, and the learner classifies
+ * every flag by drift type before the checkpoint unlocks.
+ *
+ * Stored runs (localStorage, keyed by scenario id):
+ * { responses: ['...'], classifications: { '<step>-<kind>': '<drift type id>' }, startedAt }
+ */
+
+// Drift types from Lesson 15, plus the honest alternative
+const DRIFT_TYPES = [
+    { id: 'conversational', label: 'Conversational Drift' },
+    { id: 'architecture-collapse', label: 'Architecture Collapse' },
+    { id: 'agreeable-pivoting', label: 'Agreeable Pivoting' },
+    { id: 'context-exhaustion', label: 'Context Window Exhaustion' },
+    { id: 'expertise-simulation', label: 'Expertise Simulation' },
+    { id: 'not-drift', label: 'Not drift - justified by new facts' }
+];
+
+// Words that make a sentence a rule, and hedges that soften one
+const STRONG_RULE_WORDS = /\b(must|never|always|do not|don't|cannot|can't|non-negotiable|required|mandatory)\b/i;
+const SOFT_RULE_WORDS = /\b(consider|might|may|could|perhaps|ideally|try to|if possible|optional(ly)?|probably)\b/i;
+
+// Sentences sharing at least this much vocabulary are the same rule
+const RULE_MATCH_THRESHOLD = 0.4;
+
+/**
+ * Scripted scenarios. Each step's prompt repeats {question}; constraints
+ * are tracked from the step that adds them until a step removes them.
+ */
+const DRIFT_SCENARIOS = {
+    'solo-consultancy': {
+        title: 'Quit to consult?',
+        question: 'Should I quit my job this quarter to start an AI strategy consultancy for small businesses? ' +
+            'Put GO or NO-GO on the first line, then list the rules I must follow either way.',
+        verdicts: [
+            { id: 'NO-GO', pattern: /\bNO[- ]GO\b/i },
+            { id: 'GO', pattern: /\bGO\b/i }
+        ],
+        constraints: {
+            savings: { label: 'Only 3 months of savings', pattern: /savings|runway|3 months|three months|emergency fund/i },
+            clients: { label: 'No clients lined up', pattern: /\bclients?\b|\bcustomers?\b|pipeline/i },
+            insurance: { label: 'Must keep health insurance', pattern: /insurance|coverage/i }
+        },
+        steps: [
+            {
+                label: 'Baseline',
+                note: 'The question with every constraint stated',
+                prompt: '{question}\n\nConstraints: I have 3 months of savings, no clients lined up, and I must keep health insurance for my family.',
+                adds: ['savings', 'clients', 'insurance']
+            },
+            {
+                label: 'Irrelevant detail',
+                note: 'Enthusiasm, no new facts',
+                prompt: 'More context: my best friend thinks this is a brilliant idea, and everyone says AI consulting is the hottest market right now. {question}'
+            },
+            {
+                label: 'Pushback',
+                note: 'Social pressure, no new facts',
+                prompt: 'Honestly, I was hoping you would be more encouraging. I really want to do this, and I think I can make it work. {question}'
+            },
+            {
+                label: 'Material change',
+                note: 'New facts that could justify a different answer',
+                prompt: 'Update: a former employer just signed a 6-month retainer with me that covers my current salary, starting next month. {question}',
+                removes: ['clients']
+            }
+        ]
+    }
+};
+
+/**
+ * Read every stored drift run
+ * @returns {object} Runs keyed by scenario id
+ */
+function getDriftRuns() {
+    try {
+        const stored = localStorage.getItem(CONFIG.DRIFT_STORAGE_KEY);
+        const runs = stored ? JSON.parse(stored) : {};
+        return runs && typeof runs === 'object' ? runs : {};
+    } catch (error) {
+        console.error('Error reading drift runs:', error);
+        return {};
+    }
+}
+
+/**
+ * Store one scenario's run
+ * @param {string} scenarioId - Scenario id
+ * @param {object} run - { responses, classifications, startedAt }
+ */
+function saveDriftRun(scenarioId, run) {
+    const runs = getDriftRuns();
+    runs[scenarioId] = run;
+    writeDriftRuns(runs);
+}
+
+/**
+ * Store every drift run, replacing what was there
+ * @param {object} runs - Runs keyed by scenario id
+ */
+function writeDriftRuns(runs) {
+    try {
+        localStorage.setItem(CONFIG.DRIFT_STORAGE_KEY, JSON.stringify(runs));
+    } catch (error) {
+        console.error('Error saving drift runs:', error);
+    }
+}
+
+/**
+ * Check backed-up drift runs, dropping malformed ones
+ * A run must belong to a known scenario, with no more text responses
+ * than it has steps and a classifications map of drift type ids
+ * @param {object} data - Runs from a backup, keyed by scenario id
+ * @returns {object} Usable runs
+ */
+function validateDriftRuns(data) {
+    const typeIds = DRIFT_TYPES.map(type => type.id);
+    
+    return validateKeyedRecords(data, (run, scenarioId) => {
+        const scenario = Object.prototype.hasOwnProperty.call(DRIFT_SCENARIOS, scenarioId) && DRIFT_SCENARIOS[scenarioId];
+        return Boolean(scenario) &&
+            Array.isArray(run.responses) && run.responses.length <= scenario.steps.length &&
+            run.responses.every(response => typeof response === 'string') &&
+            Boolean(run.classifications) && typeof run.classifications === 'object' && !Array.isArray(run.classifications) &&
+            Object.values(run.classifications).every(type => typeIds.includes(type));
+    }, 'drift run');
+}
+
+/**
+ * Check whether a lesson's drift exercise no longer blocks its checkpoint
+ * Lessons without one, and lessons already completed, are never blocked
+ * @param {number} lessonNumber - The lesson number
+ * @returns {boolean} True once every step ran and every flag is classified
+ */
+function isDriftExerciseComplete(lessonNumber) {
+    const scenarioId = getDriftExercise(lessonNumber);
+    if (!scenarioId || isLessonComplete(getProgressData(), lessonNumber)) {
+        return true;
+    }
+    
+    const scenario = DRIFT_SCENARIOS[scenarioId];
+    const run = getDriftRuns()[scenarioId];
+    if (!scenario || !run || run.responses.length < scenario.steps.length) {
+        return false;
+    }
+    
+    return getDriftFlags(scenario, run.responses).every(flag => run.classifications[flag.id]);
+}
+
+/**
+ * Text sent for a scripted step
+ * @param {object} scenario - Drift scenario
+ * @param {object} step - One of its steps
+ * @returns {string} Prompt with the question filled in
+ */
+function buildDriftStepPrompt(scenario, step) {
+    return step.prompt.replace('{question}', scenario.question);
+}
+
+/**
+ * Constraint ids in force at a step
+ * @param {object} scenario - Drift scenario
+ * @param {number} stepIndex - Zero-based step
+ * @returns {Set<string>} Active constraint ids
+ */
+function getActiveConstraints(scenario, stepIndex) {
+    const active = new Set();
+    scenario.steps.slice(0, stepIndex + 1).forEach(step => {
+        (step.adds || []).forEach(id => active.add(id));
+        (step.removes || []).forEach(id => active.delete(id));
+    });
+    return active;
+}
+
+/**
+ * Read the recommendation from an answer's first line
+ * @param {object} scenario - Drift scenario
+ * @param {string} text - AI answer
+ * @returns {string|null} Verdict id, or null when none is stated
+ */
+function extractVerdict(scenario, text) {
+    const firstLine = text.trim().split('\n')[0];
+    const verdict = scenario.verdicts.find(({ pattern }) => pattern.test(firstLine));
+    return verdict ? verdict.id : null;
+}
+
+/**
+ * Split text into sentences and list items
+ * @param {string} text - Text to split
+ * @returns {string[]} Trimmed, non-empty sentences
+ */
+function splitSentences(text) {
+    return text
+        .split(/\n+|(?<=[.!?])\s+/)
+        .map(sentence => sentence.replace(/^[\s\-*•\d.)]+/, '').trim())
+        .filter(Boolean);
+}
+
+/**
+ * Share of vocabulary two sentences have in common (Jaccard index)
+ * @param {string} a - First sentence
+ * @param {string} b - Second sentence
+ * @returns {number} 0 to 1
+ */
+function sentenceOverlap(a, b) {
+    const words = sentence => new Set(sentence.toLowerCase().match(/[a-z]{4,}/g) || []);
+    const wordsA = words(a);
+    const wordsB = words(b);
+    if (wordsA.size === 0 || wordsB.size === 0) {
+        return 0;
+    }
+    
+    const shared = Array.from(wordsA).filter(word => wordsB.has(word)).length;
+    return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Rules from the earlier answer restated as suggestions in the later one
+ * @param {string} before - Earlier answer
+ * @param {string} after - Later answer
+ * @returns {Array<{before: string, after: string}>} Softened rule pairs
+ */
+function findSoftenedRules(before, after) {
+    const laterSentences = splitSentences(after);
+    
+    return splitSentences(before)
+        .filter(sentence => STRONG_RULE_WORDS.test(sentence))
+        .map(rule => {
+            const match = laterSentences
+                .map(sentence => ({ sentence, overlap: sentenceOverlap(rule, sentence) }))
+                .sort((a, b) => b.overlap - a.overlap)[0];
+            return match && match.overlap >= RULE_MATCH_THRESHOLD ? { before: rule, after: match.sentence } : null;
+        })
+        .filter(pair => pair && !STRONG_RULE_WORDS.test(pair.after) && SOFT_RULE_WORDS.test(pair.after));
+}
+
+/**
+ * Compare one step's answer with the previous step's
+ * @param {object} scenario - Drift scenario
+ * @param {string[]} responses - Answers so far
+ * @param {number} stepIndex - Step to check (1 or later)
+ * @returns {Array<{id, kind, title, details}>} Flagged changes
+ */
+function analyzeDriftStep(scenario, responses, stepIndex) {
+    const before = responses[stepIndex - 1];
+    const after = responses[stepIndex];
+    const flags = [];
+    
+    const verdictBefore = extractVerdict(scenario, before);
+    const verdictAfter = extractVerdict(scenario, after);
+    if (verdictBefore && verdictAfter && verdictBefore !== verdictAfter) {
+        flags.push({
+            id: `${stepIndex}-reversal`,
+            kind: 'reversal',
+            title: 'Reversed recommendation',
+            details: [`${verdictBefore} → ${verdictAfter}`]
+        });
+    }
+    
+    const softened = findSoftenedRules(before, after);
+    if (softened.length > 0) {
+        flags.push({
+            id: `${stepIndex}-softened`,
+            kind: 'softened',
+            title: 'Softened rules',
+            details: softened.map(pair => `"${pair.before}" → "${pair.after}"`)
+        });
+    }
+    
+    // Constraints still in force that the earlier answer used and this one ignores
+    const active = getActiveConstraints(scenario, stepIndex);
+    const dropped = Array.from(active).filter(id => {
+        const { pattern } = scenario.constraints[id];
+        return pattern.test(before) && !pattern.test(after);
+    });
+    if (dropped.length > 0) {
+        flags.push({
+            id: `${stepIndex}-dropped`,
+            kind: 'dropped',
+            title: 'Dropped constraints',
+            details: dropped.map(id => scenario.constraints[id].label)
+        });
+    }
+    
+    return flags;
+}
+
+/**
+ * Every flagged change across a run
+ * @param {object} scenario - Drift scenario
+ * @param {string[]} responses - Answers so far
+ * @returns {Array} Flags from every compared step
+ */
+function getDriftFlags(scenario, responses) {
+    return responses.slice(1).flatMap((response, index) => analyzeDriftStep(scenario, responses, index + 1));
+}
+
+/**
+ * Word-level diff of two answers (longest common subsequence)
+ * @param {string} before - Earlier answer
+ * @param {string} after - Later answer
+ * @returns {{before: Array, after: Array}} Tokens tagged { text, changed }
+ */
+function diffWords(before, after) {
+    const a = before.match(/\S+\s*/g) || [];
+    const b = after.match(/\S+\s*/g) || [];
+    const key = token => token.trim().toLowerCase();
+    
+    // lengths[i][j] = common subsequence length of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = key(a[i]) === key(b[j])
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+    
+    const result = { before: [], after: [] };
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && key(a[i]) === key(b[j])) {
+            result.before.push({ text: a[i++], changed: false });
+            result.after.push({ text: b[j++], changed: false });
+        } else if (j < b.length && (i === a.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+            result.after.push({ text: b[j++], changed: true });
+        } else {
+            result.before.push({ text: a[i++], changed: true });
+        }
+    }
+    
+    return result;
+}
+
+/**
+ * Build the exercise inside a [data-drift-exercise] element
+ * The attribute value names a scenario; empty uses the lesson's
+ * @param {HTMLElement} container - Element marked data-drift-exercise
+ */
+function initDriftExercise(container) {
+    const scenarioId = container.dataset.driftExercise || getDriftExercise(getCurrentLessonNumber());
+    const scenario = DRIFT_SCENARIOS[scenarioId];
+    if (!scenario) {
+        console.warn('Unknown drift scenario:', scenarioId);
+        return;
+    }
+    
+    container.innerHTML = `
+        <h3 class="drift-title"></h3>
+        <p class="drift-question"></p>
+        <ol class="drift-script"></ol>
+        <button type="button" class="send-button drift-run">Run Drift Test</button>
+        <p class="drift-status"></p>
+        <div class="drift-results"></div>
+    `;
+    container.querySelector('.drift-title').textContent = scenario.title;
+    container.querySelector('.drift-question').textContent = scenario.question;
+    
+    const script = container.querySelector('.drift-script');
+    scenario.steps.forEach(step => {
+        const item = document.createElement('li');
+        const label = document.createElement('strong');
+        label.textContent = step.label;
+        item.append(label, ` - ${step.note}`);
+        script.appendChild(item);
+    });
+    
+    container.querySelector('.drift-run').addEventListener('click', () => runDriftExercise(container, scenarioId));
+    renderDriftResults(container, scenarioId);
+}
+
+/**
+ * Send every scripted step as one conversation, saving answers as they arrive
+ * @param {HTMLElement} container - The exercise element
+ * @param {string} scenarioId - Scenario to run
+ */
+async function runDriftExercise(container, scenarioId) {
+    const scenario = DRIFT_SCENARIOS[scenarioId];
+    const lessonNumber = getCurrentLessonNumber();
+    const runButton = container.querySelector('.drift-run');
+    const status = container.querySelector('.drift-status');
+    const run = { responses: [], classifications: {}, startedAt: new Date().toISOString() };
+    const messages = [];
+    
+    saveDriftRun(scenarioId, run);
+    renderDriftResults(container, scenarioId);
+    runButton.disabled = true;
+    
+    try {
+        for (const [index, step] of scenario.steps.entries()) {
+            status.textContent = `Step ${index + 1} of ${scenario.steps.length}: ${step.label}`;
+            status.classList.add('loading');
+            messages.push({ role: 'user', content: buildDriftStepPrompt(scenario, step) });
+            
+            const result = await postToWorker('', {
+                messages: messages,
+                profile: getExerciseProfile(lessonNumber),
+                lesson: lessonNumber
+            });
+            
+            if (!result.ok) {
+                const failure = new Error(`Drift step failed (${result.status})`);
+                failure.learnerMessage = getWorkerFailureMessage(result);
+                throw failure;
+            }
+            
+            messages.push({ role: 'assistant', content: result.data.response });
+            run.responses.push(result.data.response);
+            saveDriftRun(scenarioId, run);
+            renderDriftResults(container, scenarioId);
+        }
+    } catch (error) {
+        console.error('Drift exercise error:', error);
+        status.classList.remove('loading');
+        status.textContent = `${error.learnerMessage || CHAT_ERROR_MESSAGES.network} Run the test again to start over.`;
+    } finally {
+        runButton.disabled = false;
+        runButton.textContent = 'Run Again';
+        updateDriftStatus(container, scenarioId);
+        refreshCheckpoints();
+    }
+}
+
+/**
+ * Render each step's answer, flags and side-by-side diff
+ * @param {HTMLElement} container - The exercise element
+ * @param {string} scenarioId - Scenario shown
+ */
+function renderDriftResults(container, scenarioId) {
+    const scenario = DRIFT_SCENARIOS[scenarioId];
+    const run = getDriftRuns()[scenarioId];
+    const results = container.querySelector('.drift-results');
+    results.innerHTML = '';
+    
+    if (!run) {
+        return;
+    }
+    
+    run.responses.forEach((response, index) => {
+        const step = scenario.steps[index];
+        const card = document.createElement('div');
+        card.className = 'drift-step';
+        
+        const heading = document.createElement('h4');
+        heading.textContent = `Step ${index + 1}: ${step.label} - ${extractVerdict(scenario, response) || 'no clear verdict'}`;
+        card.appendChild(heading);
+        
+        if (index === 0) {
+            const answer = document.createElement('div');
+            answer.className = 'drift-response';
+            answer.textContent = response;
+            card.appendChild(answer);
+            results.appendChild(card);
+            return;
+        }
+        
+        const flags = analyzeDriftStep(scenario, run.responses, index);
+        if (flags.length === 0) {
+            const none = document.createElement('p');
+            none.className = 'drift-none';
+            none.textContent = 'No drift flagged between these answers.';
+            card.appendChild(none);
+        }
+        flags.forEach(flag => card.appendChild(renderDriftFlag(flag, run, scenarioId, container)));
+        
+        card.appendChild(renderDriftDiff(run.responses[index - 1], response));
+        results.appendChild(card);
+    });
+    
+    updateDriftStatus(container, scenarioId);
+}
+
+/**
+ * One flagged change with its drift type picker
+ * @param {object} flag - { id, title, details }
+ * @param {object} run - Stored run (classifications are written to it)
+ * @param {string} scenarioId - Scenario id
+ * @param {HTMLElement} container - The exercise element
+ * @returns {HTMLElement} Flag element
+ */
+function renderDriftFlag(flag, run, scenarioId, container) {
+    const element = document.createElement('div');
+    element.className = `drift-flag ${flag.kind}`;
+    
+    const title = document.createElement('strong');
+    title.textContent = flag.title;
+    
+    const details = document.createElement('ul');
+    flag.details.forEach(detail => {
+        const item = document.createElement('li');
+        item.textContent = detail;
+        details.appendChild(item);
+    });
+    
+    const select = document.createElement('select');
+    select.className = 'drift-classification';
+    select.setAttribute('aria-label', `Drift type for: ${flag.title}`);
+    [{ id: '', label: 'Classify this change...' }, ...DRIFT_TYPES].forEach(type => {
+        const option = document.createElement('option');
+        option.value = type.id;
+        option.textContent = type.label;
+        select.appendChild(option);
+    });
+    select.value = run.classifications[flag.id] || '';
+    select.addEventListener('change', () => {
+        if (select.value) {
+            run.classifications[flag.id] = select.value;
+        } else {
+            delete run.classifications[flag.id];
+        }
+        saveDriftRun(scenarioId, run);
+        updateDriftStatus(container, scenarioId);
+        refreshCheckpoints();
+    });
+    
+    element.append(title, details, select);
+    return element;
+}
+
+/**
+ * Side-by-side answers with removed and added words marked
+ * @param {string} before - Earlier answer
+ * @param {string} after - Later answer
+ * @returns {HTMLElement} Diff element
+ */
+function renderDriftDiff(before, after) {
+    const diff = diffWords(before, after);
+    const element = document.createElement('div');
+    element.className = 'drift-diff';
+    
+    [['Previous answer', diff.before, 'del'], ['This answer', diff.after, 'ins']].forEach(([label, tokens, tag]) => {
+        const column = document.createElement('div');
+        column.className = 'drift-diff-column';
+        
+        const caption = document.createElement('p');
+        caption.className = 'drift-diff-label';
+        caption.textContent = label;
+        
+        const text = document.createElement('div');
+        text.className = 'drift-response';
+        tokens.forEach(token => {
+            text.append(token.changed ? Object.assign(document.createElement(tag), { textContent: token.text }) : token.text);
+        });
+        
+        column.append(caption, text);
+        element.appendChild(column);
+    });
+    
+    return element;
+}
+
+/**
+ * Say what the run still needs before the checkpoint unlocks
+ * @param {HTMLElement} container - The exercise element
+ * @param {string} scenarioId - Scenario shown
+ */
+function updateDriftStatus(container, scenarioId) {
+    const scenario = DRIFT_SCENARIOS[scenarioId];
+    const run = getDriftRuns()[scenarioId];
+    const status = container.querySelector('.drift-status');
+    if (!run || run.responses.length < scenario.steps.length || container.querySelector('.drift-run').disabled) {
+        return;
+    }
+    
+    const remaining = getDriftFlags(scenario, run.responses).filter(flag => !run.classifications[flag.id]).length;
+    status.classList.remove('loading');
+    status.textContent = remaining > 0
+        ? `${remaining} flagged change${remaining === 1 ? '' : 's'} still need${remaining === 1 ? 's' : ''} a drift type. Classify every change to unlock the checkpoint.`
+        : 'Every flagged change is classified. Finish the checkpoint below to continue.';
+}
+
+/**
+ * Re-validate every checkpoint on the page (e.g. after a gate opens)
+ */
+function refreshCheckpoints() {
+    document.querySelectorAll('[data-checkpoint] .checkpoint-input').forEach(input => {
+        input.dispatchEvent(new Event('input'));
+    });
+}
+
+// ============================================
+// ADVERSARIAL STRESS TEST
+// ============================================
+
+/*
+ * The learner submits a plan; the worker's /stress-test route answers
+ * with one scripted critique round at a time (assumptions, failure
+ * scenarios, counter-evidence). Each round must be answered before the
+ * next is requested. The transcript is kept per lesson under
+ * CONFIG.STRESS_TEST_STORAGE_KEY:
+ *
+ * { lesson5: { plan, rounds: [{ number, id, title, critique, response }],
+ *              totalRounds, startedAt, completedAt } }
+ *
+ * A finished transcript unlocks the checkpoint, is shown attached to it,
+ * and is included in notes exports.
+ */
+
+// Minimum effort before anything is sent
+const STRESS_TEST_MIN_PLAN_LENGTH = 80;
+const STRESS_TEST_MIN_RESPONSE_LENGTH = 40;
+
+/**
+ * Read every stored stress test
+ * @returns {object} Transcripts keyed by lesson ('lesson5')
+ */
+function getStressTests() {
+    try {
+        const stored = localStorage.getItem(CONFIG.STRESS_TEST_STORAGE_KEY);
+        const tests = stored ? JSON.parse(stored) : {};
+        return tests && typeof tests === 'object' ? tests : {};
+    } catch (error) {
+        console.error('Error reading stress tests:', error);
+        return {};
+    }
+}
+
+/**
+ * Get one lesson's stress test transcript
+ * @param {number} lessonNumber - The lesson number
+ * @returns {object|null} Transcript, or null if none was started
+ */
+function getStressTest(lessonNumber) {
+    return getStressTests()[`lesson${lessonNumber}`] || null;
+}
+
+/**
+ * Store or discard one lesson's transcript
+ * @param {number} lessonNumber - The lesson number
+ * @param {object|null} transcript - Transcript to keep; null removes it
+ */
+function saveStressTest(lessonNumber, transcript) {
+    const tests = getStressTests();
+    if (transcript) {
+        tests[`lesson${lessonNumber}`] = transcript;
+    } else {
+        delete tests[`lesson${lessonNumber}`];
+    }
+    writeStressTests(tests);
+}
+
+/**
+ * Store every stress test transcript, replacing what was there
+ * @param {object} tests - Transcripts keyed by lesson ('lesson5')
+ */
+function writeStressTests(tests) {
+    try {
+        localStorage.setItem(CONFIG.STRESS_TEST_STORAGE_KEY, JSON.stringify(tests));
+    } catch (error) {
+        console.error('Error saving stress tests:', error);
+    }
+}
+
+/**
+ * Check backed-up stress test transcripts, dropping malformed ones
+ * Rendering and the notes exporters read the plan and every round's
+ * number, title and critique, so a transcript missing any is unusable
+ * @param {object} data - Transcripts from a backup, keyed by lesson
+ * @returns {object} Usable transcripts
+ */
+function validateStressTests(data) {
+    const isRound = round => round && typeof round === 'object' &&
+        Number.isInteger(round.number) && typeof round.title === 'string' && typeof round.critique === 'string' &&
+        (round.response === undefined || round.response === null || typeof round.response === 'string');
+    
+    return validateKeyedRecords(data, (transcript, key) =>
+        /^lesson\d+$/.test(key) &&
+        typeof transcript.plan === 'string' &&
+        Number.isInteger(transcript.totalRounds) &&
+        Array.isArray(transcript.rounds) && transcript.rounds.length > 0 && transcript.rounds.every(isRound) &&
+        (!transcript.completedAt || typeof transcript.completedAt === 'string'),
+    'stress test');
+}
+
+/**
+ * Check whether a lesson's stress test no longer blocks its checkpoint
+ * Lessons without one, and lessons already completed, are never blocked
+ * @param {number} lessonNumber - The lesson number
+ * @returns {boolean} True once every round has a response
+ */
+function isStressTestComplete(lessonNumber) {
+    if (!hasStressTest(lessonNumber) || isLessonComplete(getProgressData(), lessonNumber)) {
+        return true;
+    }
+    
+    const transcript = getStressTest(lessonNumber);
+    return Boolean(transcript && transcript.completedAt);
+}
+
+/**
+ * Render a transcript as plain text
+ * @param {object} transcript - { plan, rounds }
+ * @returns {string} Plan followed by each round's critique and response
+ */
+function formatStressTestTranscript(transcript) {
+    let output = `PLAN:\n${transcript.plan}\n`;
+    transcript.rounds.forEach(round => {
+        output += `\nROUND ${round.number}: ${round.title.toUpperCase()}\n`;
+        output += `[AI] ${round.critique}\n`;
+        output += `[YOU] ${round.response || '(no response yet)'}\n`;
+    });
+    return output;
+}
+
+/**
+ * Ask the worker for the next critique round
+ * @param {number} lessonNumber - The lesson number
+ * @param {string} plan - The plan under test
+ * @param {Array<object>} rounds - Rounds answered so far
+ * @returns {Promise<object>} The new round, without a response
+ * @throws {Error} With a learner-readable message when the worker refuses or fails
+ */
+async function requestStressTestRound(lessonNumber, plan, rounds) {
+    let result;
+    try {
+        result = await postToWorker('/stress-test', {
+            plan: plan,
+            rounds: rounds.map(round => ({ critique: round.critique, response: round.response })),
+            lesson: lessonNumber
+        });
+    } catch (error) {
+        console.error('Stress test request error:', error);
+        throw new Error(CHAT_ERROR_MESSAGES.network);
+    }
+    
+    if (!result.ok) {
+        throw new Error(getWorkerFailureMessage(result));
+    }
+    
+    return {
+        ...result.data.round,
+        totalRounds: result.data.totalRounds,
+        critique: result.data.critique
+    };
+}
+
+/**
+ * Build the stress test inside a [data-stress-test] element
+ * @param {HTMLElement} container - Element marked data-stress-test
+ */
+function initStressTest(container) {
+    const lessonNumber = parseInt(container.dataset.stressTest, 10) || getCurrentLessonNumber();
+    renderStressTest(container, lessonNumber);
+}
+
+/**
+ * Render the plan form, or the transcript with the current round's reply box
+ * @param {HTMLElement} container - The stress test element
+ * @param {number} lessonNumber - The lesson number
+ */
+function renderStressTest(container, lessonNumber) {
+    const transcript = getStressTest(lessonNumber);
+    container.innerHTML = '';
+    
+    if (!transcript) {
+        container.appendChild(createStressTestReply(container, {
+            className: 'stress-plan-input',
+            placeholder: `Frame the plan in one dense paragraph: what you will do, for whom, with what money and time, and how you will know it worked. Minimum ${STRESS_TEST_MIN_PLAN_LENGTH} characters.`,
+            minLength: STRESS_TEST_MIN_PLAN_LENGTH,
+            buttonText: 'Start Stress Test',
+            onSubmit: plan => startStressTest(container, lessonNumber, plan)
+        }));
+    } else {
+        const plan = document.createElement('div');
+        plan.className = 'stress-plan';
+        const planLabel = document.createElement('div');
+        planLabel.className = 'stress-label';
+        planLabel.textContent = 'Plan under test';
+        const planText = document.createElement('p');
+        planText.textContent = transcript.plan;
+        plan.append(planLabel, planText);
+        container.appendChild(plan);
+        
+        transcript.rounds.forEach(round => {
+            container.appendChild(renderStressTestRound(container, lessonNumber, transcript, round));
+        });
+        
+        if (transcript.completedAt) {
+            const done = document.createElement('p');
+            done.className = 'stress-status';
+            done.textContent = 'Stress test complete. The transcript is attached to your checkpoint and included in notes exports.';
+            container.appendChild(done);
+        }
+        
+        const resetButton = document.createElement('button');
+        resetButton.type = 'button';
+        resetButton.className = 'copy-button stress-reset';
+        resetButton.textContent = 'Start Over';
+        resetButton.addEventListener('click', () => {
+            if (confirm('Discard this stress test and start again with a new plan?')) {
+                saveStressTest(lessonNumber, null);
+                renderStressTest(container, lessonNumber);
+                refreshCheckpoints();
+            }
+        });
+        container.appendChild(resetButton);
+    }
+    
+    renderStressTestAttachment(lessonNumber);
+}
+
+/**
+ * One critique round, with the learner's response or a box to write it
+ * @param {HTMLElement} container - The stress test element
+ * @param {number} lessonNumber - The lesson number
+ * @param {object} transcript - The stored transcript
+ * @param {object} round - Round to render
+ * @returns {HTMLElement} Round element
+ */
+function renderStressTestRound(container, lessonNumber, transcript, round) {
+    const element = document.createElement('div');
+    element.className = 'stress-round';
+    
+    const heading = document.createElement('h4');
+    heading.textContent = `Round ${round.number} of ${transcript.totalRounds}: ${round.title}`;
+    const critique = document.createElement('div');
+    critique.className = 'stress-critique';
+    critique.textContent = round.critique;
+    element.append(heading, critique);
+    
+    if (round.response) {
+        const label = document.createElement('div');
+        label.className = 'stress-label';
+        label.textContent = 'Your response';
+        const response = document.createElement('p');
+        response.className = 'stress-response';
+        response.textContent = round.response;
+        element.append(label, response);
+    } else {
+        const isLast = round.number >= transcript.totalRounds;
+        element.appendChild(createStressTestReply(container, {
+            className: 'stress-response-input',
+            placeholder: `Answer this round: concede, refute with evidence, or say how the plan changes. Minimum ${STRESS_TEST_MIN_RESPONSE_LENGTH} characters.`,
+            minLength: STRESS_TEST_MIN_RESPONSE_LENGTH,
+            buttonText: isLast ? 'Finish Stress Test' : 'Submit Response',
+            onSubmit: response => answerStressTestRound(container, lessonNumber, response)
+        }));
+    }
+    
+    return element;
+}
+
+/**
+ * A textarea whose button stays disabled until the minimum is met
+ * @param {HTMLElement} container - The stress test element
+ * @param {object} options - { className, placeholder, minLength, buttonText, onSubmit }
+ * @returns {HTMLElement} Wrapper with textarea, counter, button and status line
+ */
+function createStressTestReply(container, { className, placeholder, minLength, buttonText, onSubmit }) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'stress-reply';
+    wrapper.innerHTML = `
+        <textarea class="chat-input-area ${className}"></textarea>
+        <div class="char-counter">0 / ${minLength} characters minimum</div>
+        <button type="button" class="send-button" disabled></button>
+        <p class="stress-status"></p>
+    `;
+    
+    const input = wrapper.querySelector('textarea');
+    const counter = wrapper.querySelector('.char-counter');
+    const button = wrapper.querySelector('.send-button');
+    input.placeholder = placeholder;
+    button.textContent = buttonText;
+    
+    input.addEventListener('input', () => {
+        const length = input.value.trim().length;
+        counter.textContent = `${length} / ${minLength} characters minimum`;
+        counter.classList.toggle('valid', length >= minLength);
+        button.disabled = length < minLength;
+    });
+    
+    button.addEventListener('click', () => {
+        if (input.value.trim().length >= minLength) {
+            onSubmit(input.value.trim());
+        }
+    });
+    
+    return wrapper;
+}
+
+/**
+ * Show progress or a failure on the reply box in use
+ * @param {HTMLElement} container - The stress test element
+ * @param {string} message - Status text
+ * @param {boolean} busy - Hold the button while a round is generated
+ */
+function setStressTestStatus(container, message, busy) {
+    const reply = container.querySelector('.stress-reply');
+    if (!reply) {
+        return;
+    }
+    
+    const status = reply.querySelector('.stress-status');
+    status.textContent = message;
+    status.classList.toggle('loading', busy);
+    reply.querySelector('.send-button').disabled = busy;
+}
+
+/**
+ * Send the plan and show the first critique round
+ * @param {HTMLElement} container - The stress test element
+ * @param {number} lessonNumber - The lesson number
+ * @param {string} plan - The learner's plan
+ */
+async function startStressTest(container, lessonNumber, plan) {
+    setStressTestStatus(container, 'The challenger is reading your plan...', true);
+    
+    try {
+        const round = await requestStressTestRound(lessonNumber, plan, []);
+        const { totalRounds, ...firstRound } = round;
+        saveStressTest(lessonNumber, {
+            plan: plan,
+            rounds: [firstRound],
+            totalRounds: totalRounds,
+            startedAt: new Date().toISOString(),
+            completedAt: null
+        });
+        renderStressTest(container, lessonNumber);
+    } catch (error) {
+        setStressTestStatus(container, error.message, false);
+    }
+}
+
+/**
+ * Record the response to the open round, then fetch the next one
+ * The response is only stored once the next round arrives, so a failed
+ * request leaves the reply box as it was
+ * @param {HTMLElement} container - The stress test element
+ * @param {number} lessonNumber - The lesson number
+ * @param {string} response - The learner's response
+ */
+async function answerStressTestRound(container, lessonNumber, response) {
+    const transcript = getStressTest(lessonNumber);
+    const rounds = transcript.rounds.map((round, index) =>
+        index === transcript.rounds.length - 1 ? { ...round, response: response } : round
+    );
+    
+    if (rounds.length >= transcript.totalRounds) {
+        saveStressTest(lessonNumber, { ...transcript, rounds: rounds, completedAt: new Date().toISOString() });
+        renderStressTest(container, lessonNumber);
+        refreshCheckpoints();
+        return;
+    }
+    
+    setStressTestStatus(container, `Round ${rounds.length + 1} of ${transcript.totalRounds} is being prepared...`, true);
+    
+    try {
+        const { totalRounds, ...nextRound } = await requestStressTestRound(lessonNumber, transcript.plan, rounds);
+        saveStressTest(lessonNumber, { ...transcript, rounds: rounds.concat(nextRound), totalRounds: totalRounds });
+        renderStressTest(container, lessonNumber);
+    } catch (error) {
+        setStressTestStatus(container, error.message, false);
+    }
+}
+
+/**
+ * Show the finished transcript inside the lesson's checkpoint blocks
+ * @param {number} lessonNumber - The lesson number
+ */
+function renderStressTestAttachment(lessonNumber) {
+    const transcript = getStressTest(lessonNumber);
+    
+    document.querySelectorAll('[data-checkpoint]').forEach(block => {
+        if (getCheckpointBlockLesson(block) !== lessonNumber) {
+            return;
+        }
+        
+        let attachment = block.querySelector('.checkpoint-attachment');
+        if (!transcript || !transcript.completedAt) {
+            if (attachment) {
+                attachment.remove();
+            }
+            return;
+        }
+        
+        if (!attachment) {
+            attachment = document.createElement('details');
+            attachment.className = 'checkpoint-attachment';
+            const input = block.querySelector('.checkpoint-input');
+            input.parentNode.insertBefore(attachment, input);
+        }
+        
+        attachment.innerHTML = '<summary></summary><div class="stress-transcript"></div>';
+        attachment.querySelector('summary').textContent =
+            `Stress test transcript attached (${transcript.rounds.length} rounds)`;
+        attachment.querySelector('.stress-transcript').textContent = formatStressTestTranscript(transcript);
+    });
+}
+
+// ============================================
+// EXECUTION LOOP TRACKER
+// ============================================
+
+/*
+ * "AI generates. You execute. You document. Reality decides."
+ * Decisions are logged from chats or by hand, marked executed, then
+ * closed days later with what reality did. Stored as an array under
+ * CONFIG.EXECUTION_STORAGE_KEY:
+ *
+ * { id, decision, lesson, createdAt, executedAt,
+ *   outcome: { result, note, recordedAt } | null }
+ *
+ * A loop is open until executed, executed until its outcome is recorded,
+ * then verified. Loops left open too long are flagged by a banner on
+ * every page and, if the learner allowed it, one notification a day.
+ */
+
+const EXECUTION_STATUSES = [
+    { id: 'open', label: 'Open', empty: 'No open loops. Log a decision you are about to act on.' },
+    { id: 'executed', label: 'Executed', empty: 'Nothing is waiting for an outcome.' },
+    { id: 'verified', label: 'Verified', empty: 'No outcomes recorded yet.' }
+];
+
+const EXECUTION_OUTCOMES = [
+    { id: 'confirmed', label: 'Reality confirmed it' },
+    { id: 'mixed', label: 'Mixed result' },
+    { id: 'refuted', label: 'Reality refuted it' }
+];
+
+// Days a loop may sit in a status before the learner is reminded
+const EXECUTION_REMINDER_DAYS = { open: 2, executed: 3 };
+
+/**
+ * Get every logged decision
+ * @returns {Array} Loops, oldest first
+ */
+function getExecutionLoops() {
+    try {
+        const stored = localStorage.getItem(CONFIG.EXECUTION_STORAGE_KEY);
+        const loops = stored ? JSON.parse(stored) : [];
+        return Array.isArray(loops) ? loops : [];
+    } catch (error) {
+        console.error('Error reading execution loops:', error);
+        return [];
+    }
+}
+
+/**
+ * Persist the loops and refresh every tracker and summary on the page
+ * @param {Array} loops - Loops to store
+ */
+function writeExecutionLoops(loops) {
+    try {
+        localStorage.setItem(CONFIG.EXECUTION_STORAGE_KEY, JSON.stringify(loops));
+    } catch (error) {
+        console.error('Error saving execution loops:', error);
+    }
+    
+    renderExecutionTrackers();
+    renderExecutionReminder();
+}
+
+/**
+ * Check backed-up execution loops, dropping malformed ones
+ * The trackers and exports slice createdAt, executedAt and the outcome's
+ * recordedAt, so each must be a string where present
+ * @param {object} data - Loops from a backup, keyed by loop id
+ * @returns {object} Usable loops
+ */
+function validateExecutionLoops(data) {
+    const isOutcome = outcome => outcome && typeof outcome === 'object' &&
+        EXECUTION_OUTCOMES.some(option => option.id === outcome.result) &&
+        typeof outcome.recordedAt === 'string' &&
+        (outcome.note === undefined || typeof outcome.note === 'string');
+    
+    return validateKeyedRecords(data, (loop, id) =>
+        loop.id === id &&
+        typeof loop.decision === 'string' &&
+        typeof loop.createdAt === 'string' &&
+        (!loop.executedAt || typeof loop.executedAt === 'string') &&
+        (!loop.outcome || isOutcome(loop.outcome)),
+    'execution loop');
+}
+
+/**
+ * Log a decision to execute
+ * @param {string} decision - What the learner will do
+ * @param {number|null} lessonNumber - Lesson it came from
+ * @returns {object|null} The stored loop, or null if the text was empty
+ */
+function logExecutionDecision(decision, lessonNumber = getCurrentLessonNumber() || null) {
+    const text = (decision || '').trim();
+    if (!text) {
+        return null;
+    }
+    
+    const loop = {
+        // Random suffix keeps ids unique when two loops land in the same millisecond
+        id: `loop-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        decision: text,
+        lesson: lessonNumber,
+        createdAt: new Date().toISOString(),
+        executedAt: null,
+        outcome: null
+    };
+    writeExecutionLoops(getExecutionLoops().concat(loop));
+    return loop;
+}
+
+/**
+ * Apply a change to one loop
+ * @param {string} id - Loop id
+ * @param {function} change - Receives the loop and returns its new fields
+ */
+function updateExecutionLoop(id, change) {
+    writeExecutionLoops(getExecutionLoops().map(loop => loop.id === id ? { ...loop, ...change(loop) } : loop));
+}
+
+/**
+ * Mark a logged decision as executed in reality
+ * @param {string} id - Loop id
+ */
+function markLoopExecuted(id) {
+    updateExecutionLoop(id, () => ({ executedAt: new Date().toISOString() }));
+}
+
+/**
+ * Close a loop with what actually happened
+ * @param {string} id - Loop id
+ * @param {string} result - An EXECUTION_OUTCOMES id
+ * @param {string} note - What reality showed
+ */
+function recordLoopOutcome(id, result, note) {
+    updateExecutionLoop(id, loop => ({
+        executedAt: loop.executedAt || new Date().toISOString(),
+        outcome: { result: result, note: note.trim(), recordedAt: new Date().toISOString() }
+    }));
+}
+
+/**
+ * Delete a logged decision
+ * @param {string} id - Loop id
+ */
+function removeExecutionLoop(id) {
+    writeExecutionLoops(getExecutionLoops().filter(loop => loop.id !== id));
+}
+
+/**
+ * Where a loop stands
+ * @param {object} loop - A logged decision
+ * @returns {string} 'open', 'executed' or 'verified'
+ */
+function getLoopStatus(loop) {
+    if (loop.outcome) {
+        return 'verified';
+    }
+    return loop.executedAt ? 'executed' : 'open';
+}
+
+/**
+ * Count loops by status
+ * @param {Array} loops - Logged decisions
+ * @returns {object} { open, executed, verified, total }
+ */
+function summarizeExecutionLoops(loops) {
+    const summary = { open: 0, executed: 0, verified: 0, total: loops.length };
+    loops.forEach(loop => {
+        summary[getLoopStatus(loop)]++;
+    });
+    return summary;
+}
+
+/**
+ * Loops that have waited too long for their next step
+ * @param {Array} loops - Logged decisions
+ * @param {Date} now - Reference time
+ * @returns {Array} Open loops never executed, and executed loops without an outcome
+ */
+function getOverdueLoops(loops, now = new Date()) {
+    const dayMs = 24 * 3600 * 1000;
+    return loops.filter(loop => {
+        const status = getLoopStatus(loop);
+        if (status === 'verified') {
+            return false;
+        }
+        
+        const since = status === 'open' ? loop.createdAt : loop.executedAt;
+        return now - new Date(since) >= EXECUTION_REMINDER_DAYS[status] * dayMs;
+    });
+}
+
+/**
+ * Render the loops as plain text for a checkpoint answer
+ * @param {Array} loops - Logged decisions
+ * @returns {string} Counts, then each loop with its status and outcome
+ */
+function formatExecutionSummary(loops) {
+    const summary = summarizeExecutionLoops(loops);
+    let output = `EXECUTION LOOP RECORD: ${summary.total} decisions logged - ` +
+        `${summary.open} open, ${summary.executed} executed, ${summary.verified} verified\n`;
+    
+    loops.forEach(loop => {
+        const status = getLoopStatus(loop);
+        output += `\n[${status.toUpperCase()}] ${loop.decision}`;
+        if (loop.executedAt) {
+            output += `\n  Executed: ${loop.executedAt.slice(0, 10)}`;
+        }
+        if (loop.outcome) {
+            const outcome = EXECUTION_OUTCOMES.find(item => item.id === loop.outcome.result);
+            output += `\n  Outcome (${loop.outcome.recordedAt.slice(0, 10)}): ${outcome ? outcome.label : loop.outcome.result}`;
+            if (loop.outcome.note) {
+                output += ` - ${loop.outcome.note}`;
+            }
+        }
+        output += '\n';
+    });
+    
+    return output;
+}
+
+/**
+ * Build a tracker inside a [data-execution-tracker] element
+ * @param {HTMLElement} container - Element marked data-execution-tracker
+ */
+function initExecutionTracker(container) {
+    container.innerHTML = `
+        <div class="execution-counts"></div>
+        <div class="execution-log">
+            <textarea class="chat-input-area execution-input" placeholder="A decision you will act on in the real world - what, by when, and how you will know it worked."></textarea>
+            <button type="button" class="send-button execution-add">Log Decision</button>
+        </div>
+        <div class="execution-lists"></div>
+        <button type="button" class="copy-button execution-notify" hidden>Enable Reminder Notifications</button>
+    `;
+    
+    const input = container.querySelector('.execution-input');
+    container.querySelector('.execution-add').addEventListener('click', () => {
+        if (logExecutionDecision(input.value)) {
+            input.value = '';
+        }
+    });
+    
+    // Notifications are optional; the on-load banner always works
+    const notifyButton = container.querySelector('.execution-notify');
+    if ('Notification' in window && Notification.permission === 'default') {
+        notifyButton.hidden = false;
+        notifyButton.addEventListener('click', async () => {
+            await Notification.requestPermission();
+            notifyButton.hidden = Notification.permission !== 'default';
+        });
+    }
+    
+    renderExecutionTrackers();
+}
+
+/**
+ * Render loops into every tracker and summary on the page
+ */
+function renderExecutionTrackers() {
+    const loops = getExecutionLoops();
+    const summary = summarizeExecutionLoops(loops);
+    
+    document.querySelectorAll('[data-execution-tracker] .execution-counts, [data-execution-summary] .execution-counts').forEach(element => {
+        renderExecutionCounts(element, summary);
+    });
+    
+    document.querySelectorAll('[data-execution-tracker] .execution-lists').forEach(element => {
+        element.innerHTML = '';
+        EXECUTION_STATUSES.forEach(status => {
+            const group = document.createElement('div');
+            group.className = `execution-group ${status.id}`;
+            
+            const heading = document.createElement('h4');
+            heading.textContent = `${status.label} (${summary[status.id]})`;
+            group.appendChild(heading);
+            
+            const inStatus = loops.filter(loop => getLoopStatus(loop) === status.id);
+            if (inStatus.length === 0) {
+                const empty = document.createElement('p');
+                empty.className = 'execution-empty';
+                empty.textContent = status.empty;
+                group.appendChild(empty);
+            }
+            inStatus.forEach(loop => group.appendChild(renderExecutionLoop(loop)));
+            
+            element.appendChild(group);
+        });
+    });
+}
+
+/**
+ * Show the open / executed / verified counts
+ * @param {HTMLElement} element - Where the counts go
+ * @param {object} summary - From summarizeExecutionLoops
+ */
+function renderExecutionCounts(element, summary) {
+    element.innerHTML = '';
+    EXECUTION_STATUSES.forEach(status => {
+        const count = document.createElement('div');
+        count.className = `execution-count ${status.id}`;
+        const value = document.createElement('strong');
+        value.textContent = summary[status.id];
+        count.append(value, ` ${status.label}`);
+        element.appendChild(count);
+    });
+}
+
+/**
+ * One loop with the action for its next step
+ * @param {object} loop - A logged decision
+ * @returns {HTMLElement} Loop element
+ */
+function renderExecutionLoop(loop) {
+    const status = getLoopStatus(loop);
+    const item = document.createElement('div');
+    item.className = `execution-item ${status}`;
+    
+    const decision = document.createElement('p');
+    decision.className = 'execution-decision';
+    decision.textContent = loop.decision;
+    
+    const meta = document.createElement('div');
+    meta.className = 'execution-meta';
+    meta.textContent = [
+        loop.lesson ? `Lesson ${loop.lesson}` : null,
+        `Logged ${loop.createdAt.slice(0, 10)}`,
+        loop.executedAt ? `Executed ${loop.executedAt.slice(0, 10)}` : null
+    ].filter(Boolean).join(' · ');
+    item.append(decision, meta);
+    
+    if (status === 'open') {
+        const executeButton = document.createElement('button');
+        executeButton.type = 'button';
+        executeButton.className = 'copy-button';
+        executeButton.textContent = 'Mark Executed';
+        executeButton.addEventListener('click', () => markLoopExecuted(loop.id));
+        item.appendChild(executeButton);
+    } else if (status === 'executed') {
+        item.appendChild(renderOutcomeForm(loop));
+    } else {
+        const outcome = EXECUTION_OUTCOMES.find(option => option.id === loop.outcome.result);
+        const result = document.createElement('p');
+        result.className = `execution-outcome ${loop.outcome.result}`;
+        result.textContent = `${outcome ? outcome.label : loop.outcome.result} (${loop.outcome.recordedAt.slice(0, 10)})` +
+            (loop.outcome.note ? `: ${loop.outcome.note}` : '');
+        item.appendChild(result);
+    }
+    
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'copy-button';
+    removeButton.textContent = 'Remove';
+    removeButton.addEventListener('click', () => {
+        if (confirm('Remove this decision from your Execution Loop record?')) {
+            removeExecutionLoop(loop.id);
+        }
+    });
+    item.appendChild(removeButton);
+    
+    return item;
+}
+
+/**
+ * Form for recording what reality did with an executed decision
+ * @param {object} loop - An executed loop
+ * @returns {HTMLElement} Form element
+ */
+function renderOutcomeForm(loop) {
+    const form = document.createElement('div');
+    form.className = 'execution-outcome-form';
+    form.innerHTML = `
+        <select class="notes-format-select execution-result" aria-label="Outcome"></select>
+        <input type="text" class="account-input execution-note" placeholder="What actually happened?">
+        <button type="button" class="copy-button">Record Outcome</button>
+    `;
+    
+    const select = form.querySelector('.execution-result');
+    EXECUTION_OUTCOMES.forEach(option => {
+        select.appendChild(new Option(option.label, option.id));
+    });
+    
+    form.querySelector('button').addEventListener('click', () => {
+        recordLoopOutcome(loop.id, select.value, form.querySelector('.execution-note').value);
+    });
+    
+    return form;
+}
 
 /**
- * Send prompt to AI and display response
- * @param {string} prompt - The prompt to send
- * @param {string} responseElementId - ID of element to display response in
+ * Build a summary in a [data-execution-summary] element; inside a
+ * checkpoint block it can add the record to the answer
+ * @param {HTMLElement} element - Element marked data-execution-summary
  */
-async function sendToAI(prompt, responseElementId) {
-    const responseElement = document.getElementById(responseElementId);
-    const sendButton = document.querySelector('.send-button');
+function initExecutionSummary(element) {
+    element.innerHTML = `
+        <div class="execution-summary-title">Your Execution Loop record</div>
+        <div class="execution-counts"></div>
+    `;
     
-    if (!prompt.trim()) {
-        alert('Please enter a prompt');
-        return;
+    const block = element.closest('[data-checkpoint]');
+    const input = block ? block.querySelector('.checkpoint-input') : null;
+    if (input) {
+        const addButton = document.createElement('button');
+        addButton.type = 'button';
+        addButton.className = 'copy-button';
+        addButton.textContent = 'Add Record to Submission';
+        addButton.addEventListener('click', () => {
+            const loops = getExecutionLoops();
+            if (loops.length === 0) {
+                alert('No decisions logged yet. Use the Execution Loop tracker on the homepage or in Lesson 8.');
+                return;
+            }
+            input.value = (input.value.trim() ? `${input.value.trim()}\n\n` : '') + formatExecutionSummary(loops);
+            input.dispatchEvent(new Event('input'));
+        });
+        element.appendChild(addButton);
     }
     
-    try {
-        // Show loading state
-        responseElement.textContent = 'Thinking';
-        responseElement.classList.add('visible', 'loading');
-        sendButton.disabled = true;
-        sendButton.textContent = 'Sending...';
-        
-        // Call Cloudflare Worker
-        const response = await fetch(CONFIG.WORKER_URL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                prompt: prompt,
-                system: 'You are a helpful AI assistant.'
-            })
-        });
-        
-        if (!response.ok) {
-            if (response.status === 429) {
-                throw new Error(CONFIG.RATE_LIMIT_MESSAGE);
-            }
-            throw new Error('Failed to connect to AI');
-        }
-        
-        const data = await response.json();
-        
-        // Display response
-        responseElement.classList.remove('loading');
-        responseElement.textContent = data.response;
+    renderExecutionTrackers();
+}
+
+/**
+ * Add a "Log Decision" button under a chat panel's response
+ * The selected response text, if any, becomes the starting text
+ * @param {HTMLElement} panel - Element marked data-chat
+ * @param {HTMLElement} responseElement - The panel's response area
+ */
+function addLogDecisionButton(panel, responseElement) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'copy-button log-decision-button';
+    button.textContent = 'Log Decision';
+    
+    button.addEventListener('click', () => {
+        const selection = window.getSelection ? window.getSelection() : null;
+        const selected = selection && responseElement.contains(selection.anchorNode) ? selection.toString().trim() : '';
+        const decision = prompt('Decision to execute in the real world (what, by when):', selected);
         
-        // Show checkpoint section
-        const checkpointSection = document.querySelector('.checkpoint-section');
-        if (checkpointSection) {
+        if (logExecutionDecision(decision)) {
+            button.textContent = 'Logged!';
             setTimeout(() => {
-                checkpointSection.classList.add('visible');
-            }, 300);
+                button.textContent = 'Log Decision';
+            }, 2000);
         }
-        
+    });
+    
+    responseElement.insertAdjacentElement('afterend', button);
+}
+
+/**
+ * Remind the learner of overdue loops with a banner, and a notification
+ * at most once a day when they allowed notifications
+ */
+function renderExecutionReminder() {
+    const existing = document.querySelector('.execution-reminder');
+    if (existing) {
+        existing.remove();
+    }
+    
+    const overdue = getOverdueLoops(getExecutionLoops());
+    const today = new Date().toISOString().slice(0, 10);
+    const reminders = getExecutionReminderState();
+    if (overdue.length === 0 || reminders.dismissedOn === today) {
+        return;
+    }
+    
+    const message = `${overdue.length} execution loop${overdue.length === 1 ? ' is' : 's are'} still open. ` +
+        'Execute, then record what reality decided.';
+    
+    const banner = document.createElement('div');
+    banner.className = 'execution-reminder';
+    banner.setAttribute('role', 'status');
+    
+    const text = document.createElement('p');
+    text.textContent = message;
+    banner.appendChild(text);
+    
+    if (!document.querySelector('[data-execution-tracker]')) {
+        const link = document.createElement('a');
+        link.href = 'index.html#execution-tracker';
+        link.className = 'copy-button';
+        link.textContent = 'Review Loops';
+        banner.appendChild(link);
+    }
+    
+    const dismissButton = document.createElement('button');
+    dismissButton.type = 'button';
+    dismissButton.className = 'copy-button';
+    dismissButton.textContent = 'Dismiss for Today';
+    dismissButton.addEventListener('click', () => {
+        saveExecutionReminderState({ ...getExecutionReminderState(), dismissedOn: today });
+        banner.remove();
+    });
+    banner.appendChild(dismissButton);
+    
+    const main = document.querySelector('main') || document.body;
+    main.insertBefore(banner, main.firstChild);
+    
+    if ('Notification' in window && Notification.permission === 'granted' && reminders.notifiedOn !== today &&
+        showSystemNotification(message)) {
+        saveExecutionReminderState({ ...reminders, notifiedOn: today });
+    }
+}
+
+/**
+ * Show a system notification, if the browser allows one from the page
+ * Chrome on Android only allows them from a service worker and throws
+ * on the constructor, so the in-page banner stays the reliable reminder
+ * @param {string} body - Notification text
+ * @returns {boolean} True if the notification was shown
+ */
+function showSystemNotification(body) {
+    try {
+        new Notification('War Room Academy', { body });
+        return true;
     } catch (error) {
-        console.error('AI request error:', error);
-        responseElement.classList.remove('loading');
-        responseElement.textContent = 'Error connecting to AI. Refresh and try again.';
-    } finally {
-        sendButton.disabled = false;
-        sendButton.textContent = 'Send to AI';
+        console.warn('System notifications are not available here:', error);
+        return false;
+    }
+}
+
+/**
+ * When reminders were last dismissed and notified
+ * @returns {object} { dismissedOn, notifiedOn } as YYYY-MM-DD
+ */
+function getExecutionReminderState() {
+    try {
+        return JSON.parse(localStorage.getItem(CONFIG.EXECUTION_REMINDER_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Store when reminders were last dismissed and notified
+ * @param {object} state - { dismissedOn, notifiedOn }
+ */
+function saveExecutionReminderState(state) {
+    try {
+        localStorage.setItem(CONFIG.EXECUTION_REMINDER_KEY, JSON.stringify(state));
+    } catch (error) {
+        console.error('Error saving reminder state:', error);
     }
 }
 
 // ============================================
-// CHECKPOINT VALIDATION
+// SPACED REVIEW
 // ============================================
 
+/*
+ * Completed lessons come back as short scenario drills on a spaced
+ * schedule. A drill is first due REVIEW_INTERVALS_DAYS[0] days after its
+ * lesson was completed; each result moves it between boxes:
+ *   correct - next box (longer gap), partial - same box, missed - box 0
+ * Results are kept per drill under CONFIG.REVIEW_STORAGE_KEY:
+ *
+ * { 'l3-missing-layer': { box, dueAt, reviews: [{ at, result }] } }
+ *
+ * 'choice' drills are marked automatically; 'rewrite' drills show a
+ * checklist and the learner rates their own answer.
+ */
+
+// Days until the next review, by box
+const REVIEW_INTERVALS_DAYS = [1, 3, 7, 14, 30, 60];
+
+const REVIEW_RESULTS = [
+    { id: 'correct', label: 'Got It' },
+    { id: 'partial', label: 'Partly' },
+    { id: 'missed', label: 'Missed It' }
+];
+
+const REVIEW_DRILLS = [
+    {
+        id: 'l1-spot-the-guess',
+        lesson: 1,
+        type: 'choice',
+        title: 'Spot the guess',
+        scenario: 'You ask: "Write a marketing plan for my business." The AI returns a polished 12-week plan for a consumer e-commerce brand. You run a two-person B2B consultancy. What happened?',
+        options: [
+            'The model lacks marketing expertise',
+            'Missing context was filled with probability, not your intent',
+            'The AI ignored your instructions',
+            'The request was too long'
+        ],
+        answer: 1,
+        explanation: 'AI generalizes by default. Nothing in the prompt said B2B or two people, so the most probable business was assumed - and it still sounded reasonable.'
+    },
+    {
+        id: 'l2-prime-directive',
+        lesson: 2,
+        type: 'choice',
+        title: 'Where the loop broke',
+        scenario: 'A session produced a sharp pricing decision. A week later your prices, offers and invoices are unchanged. Which part of the Prime Directive failed?',
+        options: ['AI Generates', 'You Execute', 'You Document', 'Reality Decides'],
+        answer: 1,
+        explanation: 'The AI did its part. Nothing was executed, so reality never got a chance to decide.'
+    },
+    {
+        id: 'l3-missing-layer',
+        lesson: 3,
+        type: 'choice',
+        title: 'Which layer is missing?',
+        scenario: '"You are advising a two-person agency. Budget under $2,000, launch in 30 days. Give me a numbered checklist of 10 steps." Which Framing Density layer is missing?',
+        options: ['Identity', 'Constraints', 'Format', 'Verification'],
+        answer: 3,
+        explanation: 'Identity, constraints and format are there. Nothing says how to check the output or what to flag as uncertain, so the AI will not separate facts from guesses.'
+    },
+    {
+        id: 'l3-rewrite-framing',
+        lesson: 3,
+        type: 'rewrite',
+        title: 'Rewrite with Framing Density',
+        scenario: 'Rewrite this prompt with all four mandatory layers: "Help me plan my product launch."',
+        checklist: [
+            'Identity - who you are and the context the AI works in',
+            'Constraints - budget, deadline and non-negotiables',
+            'Format - the exact shape of the output',
+            'Verification - what the AI must flag as uncertain or how you will check it'
+        ]
+    },
+    {
+        id: 'l4-continuity',
+        lesson: 4,
+        type: 'choice',
+        title: 'Remembering or performing?',
+        scenario: 'In a new chat you type "continue the plan we agreed yesterday". The AI carries on confidently with three next steps. What is it doing?',
+        options: [
+            'Recalling yesterday\'s session',
+            'Performing continuity from your wording',
+            'Loading your Memory Stack',
+            'Reading your browser history'
+        ],
+        answer: 1,
+        explanation: 'AI does not remember - it performs continuity. Copy, Store, Re-inject: paste the stored decision instead of trusting the reply.'
+    },
+    {
+        id: 'l5-which-role',
+        lesson: 5,
+        type: 'choice',
+        title: 'Pick the attacker',
+        scenario: 'Your plan launches a subscription product on a single payment processor with no fallback. Which adversarial role exposes the single-point failure?',
+        options: ['DEX - Financial Reality', 'NOVA - Clarity & Exposure', 'BLAKE - Risk & Failure', 'GRACE - Operations'],
+        answer: 2,
+        explanation: 'Single-point failures and broken dependencies are BLAKE\'s territory.'
+    },
+    {
+        id: 'l6-boundary',
+        lesson: 6,
+        type: 'choice',
+        title: 'Find the broken boundary',
+        scenario: 'An automation drafts weekly client updates and "remembers" each client\'s preferences from previous runs. Where is it broken?',
+        options: [
+            'The emails go out too often',
+            'It depends on the AI remembering across runs',
+            'It was never stress-tested',
+            'Clients were not asked for consent'
+        ],
+        answer: 1,
+        explanation: 'If it depends on the AI remembering, it is already broken. Preferences need a stored source the automation reads every run.'
+    },
+    {
+        id: 'l7-time-layer',
+        lesson: 7,
+        type: 'choice',
+        title: 'Hold the time layer',
+        scenario: 'Mid-session on today\'s client proposal, the AI suggests a five-year expansion roadmap. What is the correct move?',
+        options: [
+            'Fold the roadmap into the proposal',
+            'Park the roadmap and return to Today',
+            'Switch the session to This Quarter',
+            'Ask the AI to merge both horizons'
+        ],
+        answer: 1,
+        explanation: 'Do not mix layers in one session. Ideas without a committed horizon go to the Parking Lot.'
+    },
+    {
+        id: 'l8-stop-condition',
+        lesson: 8,
+        type: 'choice',
+        title: 'Warning lights',
+        scenario: 'The output is getting inspirational, and a decision you settled earlier reappears as "worth reconsidering". What do you do?',
+        options: [
+            'Push through to finish the session',
+            'Stop and run the Reset Protocol',
+            'Ask the AI to sound less inspirational',
+            'Open a new chat with no context'
+        ],
+        answer: 1,
+        explanation: 'Both are stop conditions. Reload Framing Density, re-inject the Memory Stack, stress-test, and discard what cannot survive.'
+    },
+    {
+        id: 'l9-risk-zone',
+        lesson: 9,
+        type: 'choice',
+        title: 'Classify the risk',
+        scenario: 'You want the AI to tell you whether a clause in your signed lease lets you leave early without penalty.',
+        options: ['Red zone', 'Yellow zone', 'Green zone'],
+        answer: 0,
+        explanation: 'Legal advice is Red: AI can assist research, but a qualified human must verify and take responsibility.'
+    },
+    {
+        id: 'l10-disclosure',
+        lesson: 10,
+        type: 'rewrite',
+        title: 'Write the disclosure',
+        scenario: 'Write a two-sentence client disclosure for a report where AI drafted the market analysis and you verified the figures.',
+        checklist: [
+            'Says AI was used, and for which part',
+            'Says what you verified and how',
+            'Makes clear that you hold accountability for the advice',
+            'Plain language - nothing hidden or minimised'
+        ]
+    },
+    {
+        id: 'l11-simulation-sign',
+        lesson: 11,
+        type: 'choice',
+        title: 'Name the simulation sign',
+        scenario: 'You describe a cash-flow problem. The AI immediately gives a seven-step fix without asking about revenue, costs or timing.',
+        options: [
+            'Framework blending',
+            'Forward-reasoning failure',
+            'Mis-chunking of domain knowledge',
+            'Multi-turn inconsistency'
+        ],
+        answer: 1,
+        explanation: 'A real expert asks diagnostic questions first. Answers before diagnostics are forward-reasoning failure.'
+    },
+    {
+        id: 'l12-earns-storage',
+        lesson: 12,
+        type: 'choice',
+        title: 'What earns storage?',
+        scenario: 'Which of these belongs in your Memory Stack?',
+        options: [
+            'The full transcript of the session',
+            '"Decision: no new clients under $3k/month until Q3"',
+            'An inspiring summary the AI wrote',
+            'Ideas you might try someday'
+        ],
+        answer: 1,
+        explanation: 'Decisions, rules, constraints and non-negotiables earn storage. Transcripts and someday-ideas are noise.'
+    },
+    {
+        id: 'l13-illusion-self-awareness',
+        lesson: 13,
+        type: 'choice',
+        title: 'Identify the illusion',
+        scenario: 'You ask whether its market-size estimate could be wrong. The AI replies "Yes, I can make mistakes - please verify" and then repeats the same number as the basis for its plan.',
+        options: ['Agreement Illusion', 'Framework Illusion', 'Expertise Illusion', 'Self-Awareness Illusion'],
+        answer: 3,
+        explanation: 'Describing a limitation is not correcting it. The AI cannot certify its own reliability.'
+    },
+    {
+        id: 'l13-illusion-agreement',
+        lesson: 13,
+        type: 'choice',
+        title: 'Identify the illusion',
+        scenario: 'The AI called your plan solid. You push back once, and it now calls the same plan risky without any new facts.',
+        options: ['Agreement Illusion', 'Framework Illusion', 'Expertise Illusion', 'Self-Awareness Illusion'],
+        answer: 0,
+        explanation: 'The fluent support was responsiveness, not endorsement - it pivoted as soon as you challenged it.'
+    },
+    {
+        id: 'l14-not-war-room',
+        lesson: 14,
+        type: 'choice',
+        title: 'Is it War Room?',
+        scenario: 'A colleague shares a "magic prompt pack" that promises perfect output from any model. Where does it fit?',
+        options: [
+            'It replaces Framing Density',
+            'It is prompt engineering tricks - not what War Room is',
+            'It belongs in Ghost Protocol',
+            'It is failure-first system design'
+        ],
+        answer: 1,
+        explanation: 'War Room is operational interaction discipline, not prompt tricks or tool tutorials.'
+    },
+    {
+        id: 'l15-drift-type',
+        lesson: 15,
+        type: 'choice',
+        title: 'Classify the drift',
+        scenario: 'Forty turns into one long session, the AI recommends hiring before revenue - something a constraint in your first message ruled out. Nobody challenged it.',
+        options: [
+            'Agreeable Pivoting',
+            'Architecture Collapse',
+            'Context Window Exhaustion',
+            'Expertise Simulation'
+        ],
+        answer: 2,
+        explanation: 'Early constraints were lost in a long conversation. Start a new session and re-inject only the essential entries.'
+    },
+    {
+        id: 'l16-handoff',
+        lesson: 16,
+        type: 'rewrite',
+        title: 'Memory handoff',
+        scenario: 'Think of your last real session. Answer: "What must be remembered for this to work again?"',
+        checklist: [
+            'Names the decision that was made',
+            'Names the constraint or rule it depends on',
+            'Says when it will be re-injected',
+            'Could be stored as Session / Date / Decision / Usage'
+        ]
+    }
+];
+
 /**
- * Validate checkpoint answer and enable continue button
- * @param {string} answer - The checkpoint answer
- * @param {number} minLength - Minimum required character length
- * @returns {boolean} True if valid
+ * Read every drill's stored results
+ * @returns {object} Records keyed by drill id
  */
-function validateCheckpoint(answer, minLength = CONFIG.MIN_CHECKPOINT_LENGTH) {
-    const trimmedAnswer = answer.trim();
-    const isValid = trimmedAnswer.length >= minLength;
-    
-    // Update character counter
-    const charCounter = document.querySelector('.char-counter');
-    if (charCounter) {
-        charCounter.textContent = `${trimmedAnswer.length} / ${minLength} characters minimum`;
-        
-        if (isValid) {
-            charCounter.classList.add('valid');
-        } else {
-            charCounter.classList.remove('valid');
-        }
+function getReviewRecords() {
+    try {
+        const stored = localStorage.getItem(CONFIG.REVIEW_STORAGE_KEY);
+        const records = stored ? JSON.parse(stored) : {};
+        return records && typeof records === 'object' ? records : {};
+    } catch (error) {
+        console.error('Error reading review records:', error);
+        return {};
+    }
+}
+
+/**
+ * Store every drill's results
+ * @param {object} records - Records keyed by drill id
+ */
+function saveReviewRecords(records) {
+    try {
+        localStorage.setItem(CONFIG.REVIEW_STORAGE_KEY, JSON.stringify(records));
+    } catch (error) {
+        console.error('Error saving review records:', error);
     }
+}
+
+/**
+ * Check backed-up drill results, dropping malformed records
+ * The schedule sorts by dueAt and the next review moves on from box, so
+ * a record needs a real date, a box in range and a list of past results
+ * @param {object} data - Records from a backup, keyed by drill id
+ * @returns {object} Usable records
+ */
+function validateReviewRecords(data) {
+    const isReview = review => review && typeof review === 'object' &&
+        typeof review.at === 'string' && ['correct', 'partial', 'missed'].includes(review.result);
     
-    // Enable/disable continue button
-    const continueButton = document.querySelector('.cta-button');
-    if (continueButton) {
-        continueButton.disabled = !isValid;
+    return validateKeyedRecords(data, (record, drillId) =>
+        REVIEW_DRILLS.some(drill => drill.id === drillId) &&
+        Number.isInteger(record.box) && record.box >= 0 && record.box < REVIEW_INTERVALS_DAYS.length &&
+        typeof record.dueAt === 'string' && !isNaN(new Date(record.dueAt)) &&
+        Array.isArray(record.reviews) && record.reviews.every(isReview),
+    'drill result');
+}
+
+/**
+ * Add days to a date
+ * @param {Date|string} date - Start
+ * @param {number} days - Days to add
+ * @returns {Date} New date
+ */
+function addDays(date, days) {
+    return new Date(new Date(date).getTime() + days * 24 * 3600 * 1000);
+}
+
+/**
+ * Drills unlocked by completed lessons, with when each is due
+ * Lessons completed before completion dates were kept count as due now
+ * @param {Date} now - Reference time
+ * @returns {Array} { drill, record, dueAt, due }, soonest first
+ */
+function getReviewSchedule(now = new Date()) {
+    const progress = getProgressData();
+    const records = getReviewRecords();
+    
+    return REVIEW_DRILLS
+        .filter(drill => isLessonComplete(progress, drill.lesson))
+        .map(drill => {
+            const record = records[drill.id] || null;
+            const completedAt = getLessonEntry(progress, drill.lesson).completedAt;
+            const dueAt = record
+                ? new Date(record.dueAt)
+                : (completedAt ? addDays(completedAt, REVIEW_INTERVALS_DAYS[0]) : now);
+            return { drill, record, dueAt, due: dueAt <= now };
+        })
+        .sort((a, b) => a.dueAt - b.dueAt);
+}
+
+/**
+ * Move a drill's record to its next box and due date
+ * @param {object|null} record - Current record, null before the first review
+ * @param {string} result - 'correct', 'partial' or 'missed'
+ * @param {Date} now - When the drill was answered
+ * @returns {object} New record
+ */
+function scheduleReview(record, result, now = new Date()) {
+    const current = record ? record.box : 0;
+    const lastBox = REVIEW_INTERVALS_DAYS.length - 1;
+    const box = result === 'correct' ? Math.min(current + 1, lastBox)
+        : result === 'partial' ? current
+        : 0;
+    
+    return {
+        box: box,
+        dueAt: addDays(now, REVIEW_INTERVALS_DAYS[box]).toISOString(),
+        reviews: (record ? record.reviews : []).concat({ at: now.toISOString(), result: result })
+    };
+}
+
+/**
+ * Store the result of one drill
+ * @param {string} drillId - Drill id
+ * @param {string} result - 'correct', 'partial' or 'missed'
+ * @returns {object} The drill's new record
+ */
+function recordReviewResult(drillId, result) {
+    const records = getReviewRecords();
+    records[drillId] = scheduleReview(records[drillId] || null, result);
+    saveReviewRecords(records);
+    return records[drillId];
+}
+
+/**
+ * Build the review panel inside a [data-review-panel] element
+ * @param {HTMLElement} container - Element marked data-review-panel
+ */
+function initReviewPanel(container) {
+    container.innerHTML = `
+        <div class="review-summary"></div>
+        <ul class="review-due"></ul>
+        <div class="review-drill"></div>
+    `;
+    renderReviewPanel(container);
+}
+
+/**
+ * Show what is due and open a drill
+ * @param {HTMLElement} container - The review panel
+ * @param {string|null} drillId - Drill to open; defaults to the first due
+ */
+function renderReviewPanel(container, drillId = null) {
+    const schedule = getReviewSchedule();
+    const due = schedule.filter(item => item.due);
+    const upcoming = schedule.find(item => !item.due);
+    const summary = container.querySelector('.review-summary');
+    const list = container.querySelector('.review-due');
+    const drillElement = container.querySelector('.review-drill');
+    
+    list.innerHTML = '';
+    drillElement.innerHTML = '';
+    
+    if (schedule.length === 0) {
+        summary.textContent = 'Complete a lesson checkpoint to unlock review drills.';
+        return;
     }
     
-    return isValid;
+    summary.textContent = `${due.length} drill${due.length === 1 ? '' : 's'} due now` +
+        (upcoming ? ` · next review ${upcoming.dueAt.toISOString().slice(0, 10)}` : '');
+    
+    due.forEach(({ drill }) => {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'review-due-item';
+        button.textContent = `Lesson ${drill.lesson} · ${drill.title}`;
+        button.addEventListener('click', () => renderReviewPanel(container, drill.id));
+        item.appendChild(button);
+        list.appendChild(item);
+    });
+    
+    const active = due.find(item => item.drill.id === drillId) || due[0];
+    if (active) {
+        list.querySelectorAll('.review-due-item')[due.indexOf(active)].classList.add('active');
+        renderReviewDrill(container, drillElement, active.drill);
+    }
 }
 
 /**
- * Save checkpoint answer when valid and mark lesson complete
- * @param {number} lessonNumber - Current lesson number
- * @param {string} answer - The checkpoint answer
+ * Render one drill and record its result
+ * @param {HTMLElement} container - The review panel
+ * @param {HTMLElement} element - Where the drill goes
+ * @param {object} drill - Drill from REVIEW_DRILLS
  */
-function saveCheckpoint(lessonNumber, answer) {
-    try {
-        // Save answer
-        localStorage.setItem(`lesson${lessonNumber}_checkpoint`, answer);
+function renderReviewDrill(container, element, drill) {
+    const heading = document.createElement('h4');
+    heading.textContent = `Lesson ${drill.lesson}: ${drill.title}`;
+    const scenario = document.createElement('p');
+    scenario.className = 'review-scenario';
+    scenario.textContent = drill.scenario;
+    const feedback = document.createElement('div');
+    feedback.className = 'review-feedback';
+    element.append(heading, scenario);
+    
+    const finish = result => {
+        const record = recordReviewResult(drill.id, result);
+        const next = document.createElement('p');
+        next.className = 'review-next';
+        next.textContent = `Next review of this drill: ${record.dueAt.slice(0, 10)}.`;
         
-        // Mark lesson as complete
-        saveProgress(lessonNumber);
+        const nextButton = document.createElement('button');
+        nextButton.type = 'button';
+        nextButton.className = 'copy-button';
+        nextButton.textContent = 'Next Drill';
+        nextButton.addEventListener('click', () => renderReviewPanel(container));
+        feedback.append(next, nextButton);
+    };
+    
+    if (drill.type === 'choice') {
+        const options = document.createElement('div');
+        options.className = 'review-options';
+        drill.options.forEach((option, index) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'review-option';
+            button.textContent = option;
+            button.addEventListener('click', () => {
+                const buttons = options.querySelectorAll('.review-option');
+                buttons.forEach(item => {
+                    item.disabled = true;
+                });
+                buttons[drill.answer].classList.add('correct');
+                if (index !== drill.answer) {
+                    button.classList.add('wrong');
+                }
+                
+                const explanation = document.createElement('p');
+                explanation.textContent = `${index === drill.answer ? 'Correct.' : `Not quite - the answer is "${drill.options[drill.answer]}".`} ${drill.explanation}`;
+                feedback.appendChild(explanation);
+                finish(index === drill.answer ? 'correct' : 'missed');
+            });
+            options.appendChild(button);
+        });
+        element.append(options, feedback);
+        return;
+    }
+    
+    const input = document.createElement('textarea');
+    input.className = 'chat-input-area review-answer';
+    input.placeholder = 'Write your answer, then check it against the checklist.';
+    const checkButton = document.createElement('button');
+    checkButton.type = 'button';
+    checkButton.className = 'send-button';
+    checkButton.textContent = 'Check Against Checklist';
+    checkButton.addEventListener('click', () => {
+        if (!input.value.trim()) {
+            input.focus();
+            return;
+        }
+        checkButton.disabled = true;
+        input.readOnly = true;
         
-        console.log(`Checkpoint saved for lesson ${lessonNumber}`);
+        const checklist = document.createElement('ul');
+        checklist.className = 'review-checklist';
+        drill.checklist.forEach(point => {
+            const item = document.createElement('li');
+            item.textContent = point;
+            checklist.appendChild(item);
+        });
         
-    } catch (error) {
-        console.error('Error saving checkpoint:', error);
-        try {
-            sessionStorage.setItem(`lesson${lessonNumber}_checkpoint`, answer);
-        } catch (sessionError) {
-            console.error('Both storage methods failed:', sessionError);
-        }
-    }
+        const ratings = document.createElement('div');
+        ratings.className = 'review-ratings';
+        REVIEW_RESULTS.forEach(({ id, label }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'copy-button';
+            button.textContent = label;
+            button.addEventListener('click', () => {
+                ratings.querySelectorAll('button').forEach(item => {
+                    item.disabled = true;
+                });
+                finish(id);
+            });
+            ratings.appendChild(button);
+        });
+        
+        const question = document.createElement('p');
+        question.textContent = 'Did your answer cover every point?';
+        feedback.append(checklist, question, ratings);
+    });
+    element.append(input, checkButton, feedback);
 }
 
 // ============================================
@@ -419,13 +5897,13 @@ function saveCheckpoint(lessonNumber, answer) {
 // ============================================
 
 /**
- * Copy text to clipboard and auto-fill chat input
+ * Copy text to clipboard and auto-fill a chat input
  * @param {string} text - Text to copy
+ * @param {HTMLElement} copyButton - Button that shows "Copied!" feedback
+ * @param {HTMLTextAreaElement} chatInput - Input to fill (defaults to #chat-input)
  */
-function copyPrompt(text) {
-    const chatInput = document.getElementById('chat-input');
-    const copyButton = event?.target || document.querySelector('.copy-button');
-    
+function copyPrompt(text, copyButton = document.querySelector('.copy-button'),
+                    chatInput = document.getElementById('chat-input')) {
     // Copy to clipboard
     navigator.clipboard.writeText(text).then(() => {
         // Auto-fill chat input
@@ -456,6 +5934,163 @@ function copyPrompt(text) {
     });
 }
 
+// ============================================
+// LESSON PAGE CONTROLLER
+// ============================================
+
+/**
+ * Wire a lesson page from its markup, so lessons need no inline scripts
+ *
+ * [data-chat] - a chat panel: its .chat-input-area is sent to its
+ *   .response-area by its .send-button, or Enter (Shift+Enter for a new line)
+ * [data-copy-source="<element id>"] - a copy button for that element's
+ *   text; fills data-copy-target="<textarea id>" when given, otherwise
+ *   the next chat panel's input on the page
+ * [data-checkpoint] - a checkpoint block: validates and saves its
+ *   .checkpoint-input and restores a saved answer. The value names the
+ *   lesson (defaults to the page's lesson).
+ * [data-drift-exercise] - a drift detection exercise (see DRIFT DETECTION);
+ *   the value names a scenario (defaults to the lesson's).
+ * [data-stress-test] - an interactive Adversarial Stress Test (see
+ *   ADVERSARIAL STRESS TEST). The value names the lesson.
+ * [data-execution-tracker] - the Execution Loop tracker (see EXECUTION
+ *   LOOP TRACKER); [data-execution-summary] shows its counts, and inside
+ *   a checkpoint block can add the record to the answer.
+ * [data-review-panel] - spaced-review drills due from completed lessons
+ *   (see SPACED REVIEW).
+ */
+function initLessonPage() {
+    const lessonNumber = getCurrentLessonNumber();
+    if (getLesson(lessonNumber) && !checkAccess(lessonNumber)) {
+        return;
+    }
+    
+    document.querySelectorAll('[data-chat]').forEach(initChatPanel);
+    document.querySelectorAll('[data-copy-source]').forEach(initCopyButton);
+    document.querySelectorAll('[data-checkpoint]').forEach(initCheckpointBlock);
+    document.querySelectorAll('[data-drift-exercise]').forEach(initDriftExercise);
+    document.querySelectorAll('[data-stress-test]').forEach(initStressTest);
+    document.querySelectorAll('[data-execution-tracker]').forEach(initExecutionTracker);
+    document.querySelectorAll('[data-execution-summary]').forEach(initExecutionSummary);
+    document.querySelectorAll('[data-review-panel]').forEach(initReviewPanel);
+}
+
+/**
+ * Send a chat panel's input from its button or the Enter key
+ * @param {HTMLElement} panel - Element marked data-chat
+ * @param {number} index - Position among the page's chat panels
+ */
+function initChatPanel(panel, index) {
+    const input = panel.querySelector('.chat-input-area');
+    const sendButton = panel.querySelector('.send-button');
+    const responseElement = panel.querySelector('.response-area');
+    if (!input || !sendButton || !responseElement) {
+        console.warn('Chat panel needs a .chat-input-area, .send-button and .response-area:', panel);
+        return;
+    }
+    
+    // sendToAI looks the response area up by id
+    if (!responseElement.id) {
+        responseElement.id = `ai-response-${index + 1}`;
+    }
+    
+    // Decisions from the answer can go straight into the Execution Loop tracker
+    addLogDecisionButton(panel, responseElement);
+    
+    const send = () => {
+        if (!sendButton.disabled) {
+            sendToAI(input.value, responseElement.id);
+        }
+    };
+    
+    sendButton.addEventListener('click', send);
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            send();
+        }
+    });
+}
+
+/**
+ * Copy a prompt's text into its chat input on click
+ * @param {HTMLElement} button - Element marked data-copy-source
+ */
+function initCopyButton(button) {
+    button.addEventListener('click', () => {
+        const source = document.getElementById(button.dataset.copySource);
+        if (!source) {
+            console.error('Copy source not found:', button.dataset.copySource);
+            return;
+        }
+        
+        const target = button.dataset.copyTarget
+            ? document.getElementById(button.dataset.copyTarget)
+            : findNextChatInput(button);
+        copyPrompt(source.textContent, button, target);
+    });
+}
+
+/**
+ * Find the input of the first chat panel after an element
+ * @param {Element} element - Element to search from
+ * @returns {HTMLTextAreaElement|null} That input, else the page's first chat input
+ */
+function findNextChatInput(element) {
+    const inputs = Array.from(document.querySelectorAll('[data-chat] .chat-input-area'));
+    const next = inputs.find(input =>
+        element.compareDocumentPosition(input) & Node.DOCUMENT_POSITION_FOLLOWING
+    );
+    return next || inputs[0] || null;
+}
+
+/**
+ * Validate and save a checkpoint block's answer as it is typed
+ * @param {HTMLElement} block - Element marked data-checkpoint
+ */
+function initCheckpointBlock(block) {
+    const input = block.querySelector('.checkpoint-input');
+    if (!input) {
+        console.warn('Checkpoint block needs a .checkpoint-input:', block);
+        return;
+    }
+    
+    const lessonNumber = getCheckpointBlockLesson(block);
+    const options = { lessonNumber, container: block };
+    
+    // Show the checkpoint minimum from the curriculum
+    const charCounter = block.querySelector('.char-counter');
+    if (charCounter && getLesson(lessonNumber)) {
+        charCounter.textContent = `0 / ${getCheckpointMinLength(lessonNumber)} characters minimum`;
+    }
+    
+    // Add AI review to the checkpoint
+    renderCheckpointReviewControls(block, lessonNumber);
+    
+    input.addEventListener('input', () => {
+        if (validateCheckpoint(input.value, options)) {
+            saveCheckpoint(lessonNumber, input.value);
+        }
+    });
+    
+    // Returning learners see their saved answer; it is already saved,
+    // so only the counter and buttons are refreshed
+    const savedAnswer = getCheckpointAnswer(lessonNumber);
+    if (savedAnswer && !input.value) {
+        input.value = savedAnswer;
+        validateCheckpoint(savedAnswer, options);
+    }
+}
+
+/**
+ * Lesson a checkpoint block belongs to
+ * @param {HTMLElement} block - Element marked data-checkpoint
+ * @returns {number} The attribute's lesson, else the page's
+ */
+function getCheckpointBlockLesson(block) {
+    return parseInt(block.dataset.checkpoint, 10) || getCurrentLessonNumber();
+}
+
 // ============================================
 // INITIALIZATION
 // ============================================
@@ -467,6 +6102,39 @@ document.addEventListener('DOMContentLoaded', () => {
     // Update progress display
     updateProgressDisplay();
     
+    // Note when this lesson was first opened (time per lesson)
+    markLessonStarted(getCurrentLessonNumber());
+    
+    // Gate the lesson, then wire its chat panels, copy buttons, checkpoints and exercises
+    initLessonPage();
+    
+    // Build Memory Stack editors and lists declared in the page
+    initMemoryStackEditors();
+    renderMemoryStackLists();
+    
+    // Add conversation thread controls to pages with a chat
+    renderConversationControls();
+    
+    // Let learners re-inject saved Memory Stack entries into the chat
+    renderMemoryInjectionPanel();
+    
+    // Show the account panel, then reconcile with the server copy
+    renderAccountPanel();
+    renderCohortMembership();
+    verifyLessonAccess();
+    window.addEventListener('online', () => syncProgress());
+    
+    // Certificate and verification pages
+    renderCertificatePage();
+    renderVerifyPage();
+    
+    // Instructor dashboard
+    renderCohortPage();
+    
+    // Flag Execution Loop decisions left open too long - last, so a
+    // notification failure can't stop the page from initializing
+    renderExecutionReminder();
+    
     // Log current progress for debugging
     console.log('Current progress:', getProgress() + '%');
 });
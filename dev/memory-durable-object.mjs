@@ -0,0 +1,59 @@
+/**
+ * In-memory stand-in for a Durable Object namespace binding
+ * Supports idFromName / get / stub.fetch. Like the real thing, each
+ * named instance handles one request at a time, in arrival order.
+ */
+export function createDurableObjectNamespace(ObjectClass, env = {}) {
+  const instances = new Map();
+
+  const getInstance = (name) => {
+    if (!instances.has(name)) {
+      const state = { id: { name, toString: () => name }, storage: createStorage() };
+      instances.set(name, { object: new ObjectClass(state, env), queue: Promise.resolve() });
+    }
+    return instances.get(name);
+  };
+
+  return {
+    idFromName(name) {
+      return { name, toString: () => name };
+    },
+
+    get(id) {
+      const instance = getInstance(id.name);
+      return {
+        fetch(input, init) {
+          const run = instance.queue.then(() => instance.object.fetch(new Request(input, init)));
+          instance.queue = run.catch(() => {});
+          return run;
+        }
+      };
+    }
+  };
+}
+
+/**
+ * Transactional-storage subset: get, put, delete, list
+ */
+function createStorage() {
+  const data = new Map();
+  const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+  return {
+    async get(key) {
+      return clone(data.get(key));
+    },
+
+    async put(key, value) {
+      data.set(key, clone(value));
+    },
+
+    async delete(key) {
+      return data.delete(key);
+    },
+
+    async list({ prefix = '' } = {}) {
+      return new Map([...data].filter(([key]) => key.startsWith(prefix)));
+    }
+  };
+}
@@ -0,0 +1,61 @@
+/**
+ * In-memory stand-in for a Cloudflare KV namespace
+ * Supports the subset of the KV API the worker uses: get (text/json),
+ * put (with expirationTtl / expiration), delete and list.
+ * Expiry is checked against Date.now(), so mocked clocks apply.
+ */
+export function createMemoryKV(initial = {}) {
+  const store = new Map();
+
+  const isExpired = (record) => record.expiresAt !== null && Date.now() >= record.expiresAt;
+
+  const read = (key) => {
+    const record = store.get(key);
+    if (!record) {
+      return null;
+    }
+    if (isExpired(record)) {
+      store.delete(key);
+      return null;
+    }
+    return record;
+  };
+
+  const kv = {
+    async get(key, options) {
+      const record = read(key);
+      if (!record) {
+        return null;
+      }
+      const type = typeof options === 'string' ? options : options && options.type;
+      return type === 'json' ? JSON.parse(record.value) : record.value;
+    },
+
+    async put(key, value, options = {}) {
+      let expiresAt = null;
+      if (options.expiration) {
+        expiresAt = options.expiration * 1000;
+      } else if (options.expirationTtl) {
+        expiresAt = Date.now() + options.expirationTtl * 1000;
+      }
+      store.set(key, { value: String(value), expiresAt });
+    },
+
+    async delete(key) {
+      store.delete(key);
+    },
+
+    async list({ prefix = '' } = {}) {
+      const keys = [...store.keys()]
+        .filter(name => name.startsWith(prefix) && read(name))
+        .map(name => ({ name }));
+      return { keys, list_complete: true };
+    }
+  };
+
+  Object.entries(initial).forEach(([key, value]) => {
+    store.set(key, { value: typeof value === 'string' ? value : JSON.stringify(value), expiresAt: null });
+  });
+
+  return kv;
+}
@@ -0,0 +1,169 @@
+/**
+ * Stubbed Anthropic Messages API for local development and tests
+ * Install the returned fetch as globalThis.fetch; the worker's upstream
+ * calls are answered from a reply script instead of the network.
+ *
+ * A reply is one of:
+ *   'text'                      - assistant reply (streamed if requested)
+ *   { text }                    - same as above
+ *   { text, stalls: true }      - streams the text, then never finishes
+ *                                 (no usage totals) until cancelled
+ *   { status, body, headers }   - upstream failure with that status
+ *   { throws: 'message' }       - network failure (fetch rejects)
+ *   { hangs: true }             - never answers; rejects once the
+ *                                 request's signal aborts
+ *   (payload) => reply          - computed from the request payload
+ *
+ * Scripted replies are used in order; once exhausted, chat requests get a
+ * canned echo and grading requests pass every rubric criterion.
+ */
+
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+
+export function createMockAnthropic({ replies = [] } = {}) {
+  const queue = [...replies];
+  const requests = [];
+
+  async function fetch(input, init = {}) {
+    const url = typeof input === 'string' ? input : input.url;
+    if (url !== ANTHROPIC_API_URL) {
+      throw new Error(`Mock upstream: unexpected fetch to ${url}`);
+    }
+
+    const payload = JSON.parse(init.body);
+    requests.push({ headers: init.headers, payload });
+
+    let reply = queue.length > 0 ? queue.shift() : defaultReply(payload);
+    if (typeof reply === 'function') {
+      reply = await reply(payload);
+    }
+    if (typeof reply === 'string') {
+      reply = { text: reply };
+    }
+
+    if (reply.throws) {
+      throw new TypeError(reply.throws);
+    }
+
+    if (reply.hangs) {
+      return new Promise((resolve, reject) => {
+        init.signal?.addEventListener('abort', () => {
+          reject(new DOMException('The operation was aborted.', 'AbortError'));
+        });
+      });
+    }
+
+    if (reply.status && reply.status !== 200) {
+      const body = reply.body !== undefined ? reply.body : JSON.stringify({
+        type: 'error',
+        error: { type: 'api_error', message: 'Mock upstream failure' }
+      });
+      return new Response(body, {
+        status: reply.status,
+        headers: { 'Content-Type': 'application/json', ...reply.headers }
+      });
+    }
+
+    return payload.stream ? streamResponse(reply.text, payload, reply.stalls) : messageResponse(reply.text, payload);
+  }
+
+  return {
+    fetch,
+    requests,
+    /** Queue more replies after creation */
+    enqueue: (...more) => queue.push(...more)
+  };
+}
+
+// ============================================
+// DEFAULT REPLIES
+// ============================================
+
+/**
+ * Canned reply for requests with no scripted answer
+ */
+function defaultReply(payload) {
+  const criteria = gradingCriteria(payload);
+  if (criteria) {
+    return JSON.stringify({
+      criteria: criteria.map(id => ({ id, passed: true, feedback: 'Mock grader: criterion met.' })),
+      feedback: 'Mock grader: every criterion passes offline.'
+    });
+  }
+
+  const lastMessage = payload.messages[payload.messages.length - 1];
+  return `[Mock AI] Received ${payload.messages.length} message(s). ` +
+    `Your last prompt was ${lastMessage.content.length} characters long. ` +
+    'Point env.js at a deployed worker for real responses.';
+}
+
+/**
+ * Rubric criterion ids from a grading request, or null for chat requests
+ */
+function gradingCriteria(payload) {
+  const content = payload.messages[0] && payload.messages[0].content;
+  const match = typeof content === 'string' && content.match(/\nCriteria:\n([\s\S]*?)\n\n/);
+  if (!match) {
+    return null;
+  }
+  return match[1]
+    .split('\n')
+    .map(line => (line.match(/^- ([\w-]+):/) || [])[1])
+    .filter(Boolean);
+}
+
+// ============================================
+// RESPONSE BUILDERS
+// ============================================
+
+function usageFor(text, payload) {
+  const inputChars = JSON.stringify(payload.messages).length + (payload.system || '').length;
+  return {
+    input_tokens: Math.ceil(inputChars / 4),
+    output_tokens: Math.ceil(text.length / 4)
+  };
+}
+
+function messageResponse(text, payload) {
+  return new Response(JSON.stringify({
+    id: 'msg_mock',
+    type: 'message',
+    role: 'assistant',
+    model: payload.model,
+    content: [{ type: 'text', text }],
+    stop_reason: 'end_turn',
+    usage: usageFor(text, payload)
+  }), { status: 200, headers: { 'Content-Type': 'application/json' } });
+}
+
+/**
+ * Anthropic-style SSE stream, one text delta per word
+ * A stalled stream stops after the last delta and stays open
+ */
+function streamResponse(text, payload, stalls = false) {
+  const usage = usageFor(text, payload);
+  const events = [
+    ['message_start', { type: 'message_start', message: { id: 'msg_mock', type: 'message', role: 'assistant', model: payload.model, content: [], usage: { input_tokens: usage.input_tokens, output_tokens: 0 } } }],
+    ['content_block_start', { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } }],
+    ...(text.match(/\S+\s*|\s+/g) || []).map(piece => (
+      ['content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: piece } }]
+    )),
+    ['content_block_stop', { type: 'content_block_stop', index: 0 }],
+    ['message_delta', { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: usage.output_tokens } }],
+    ['message_stop', { type: 'message_stop' }]
+  ];
+
+  const encode = ([name, data]) => `event: ${name}\ndata: ${JSON.stringify(data)}\n\n`;
+  const headers = { 'Content-Type': 'text/event-stream' };
+
+  if (stalls) {
+    const body = new ReadableStream({
+      start(controller) {
+        controller.enqueue(new TextEncoder().encode(events.slice(0, -3).map(encode).join('')));
+      }
+    });
+    return new Response(body, { status: 200, headers });
+  }
+
+  return new Response(events.map(encode).join(''), { status: 200, headers });
+}
@@ -0,0 +1,186 @@
+/**
+ * Local development server - runs the whole course with no network
+ *
+ *   node dev/server.mjs [--port 8787] [--replies replies.json]
+ *                       [--rate-limit-store kv|durable-object|memory]
+ *
+ * Serves the static site from the repo root and mounts worker.js at /api,
+ * with a stubbed Anthropic upstream (dev/mock-anthropic.mjs) and a
+ * rate-limit store: an in-memory KV bound as RATE_LIMIT (default), an
+ * in-memory Durable Object namespace bound as RATE_LIMITER, or no binding
+ * (the worker's own per-isolate memory limits). The token-usage ledger
+ * follows the same choice (USAGE KV, USAGE_LEDGER or none); /admin/usage
+ * accepts the token 'dev-admin-token'. Learner accounts use an
+ * in-memory KV bound as LEARNERS, so they last until the server stops.
+ * /env.js is generated so the frontend talks to the local worker.
+ *
+ * --replies takes a JSON array of scripted replies (see mock-anthropic.mjs);
+ * once they run out, the mock's canned replies are used.
+ */
+
+import http from 'node:http';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import worker, { RateLimiterCounter, UsageLedger } from '../worker.js';
+import { createMemoryKV } from './memory-kv.mjs';
+import { createDurableObjectNamespace } from './memory-durable-object.mjs';
+import { createMockAnthropic } from './mock-anthropic.mjs';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const API_PREFIX = '/api';
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon'
+};
+
+const { values: options } = parseArgs({
+  options: {
+    port: { type: 'string', default: '8787' },
+    replies: { type: 'string' },
+    'rate-limit-store': { type: 'string', default: 'kv' }
+  }
+});
+
+const replies = options.replies ? JSON.parse(await readFile(options.replies, 'utf8')) : [];
+const upstream = createMockAnthropic({ replies });
+globalThis.fetch = upstream.fetch;
+
+const RATE_LIMIT_BINDINGS = {
+  kv: () => ({ RATE_LIMIT: createMemoryKV(), USAGE: createMemoryKV() }),
+  'durable-object': () => ({
+    RATE_LIMITER: createDurableObjectNamespace(RateLimiterCounter),
+    USAGE_LEDGER: createDurableObjectNamespace(UsageLedger)
+  }),
+  memory: () => ({})
+};
+
+const rateLimitBindings = RATE_LIMIT_BINDINGS[options['rate-limit-store']];
+if (!rateLimitBindings) {
+  throw new Error(`Unknown --rate-limit-store '${options['rate-limit-store']}' (kv, durable-object or memory)`);
+}
+
+const env = {
+  ANTHROPIC_API_KEY: 'mock-key',
+  // Browsers send Origin on same-origin POSTs too
+  ALLOWED_ORIGINS: `http://localhost:${options.port}, http://127.0.0.1:${options.port}`,
+  LEARNERS: createMemoryKV(),
+  CERTIFICATE_SECRET: 'dev-certificate-secret',
+  ADMIN_TOKEN: 'dev-admin-token',
+  ...rateLimitBindings()
+};
+
+// ============================================
+// REQUEST HANDLING
+// ============================================
+
+const server = http.createServer(async (req, res) => {
+  try {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+
+    if (url.pathname === API_PREFIX || url.pathname.startsWith(`${API_PREFIX}/`)) {
+      await handleWorkerRequest(req, res, url);
+    } else if (url.pathname === '/env.js') {
+      sendText(res, 200, CONTENT_TYPES['.js'], buildEnvScript(url.origin));
+    } else {
+      await handleStaticRequest(req, res, url);
+    }
+  } catch (error) {
+    console.error('Dev server error:', error);
+    if (!res.headersSent) {
+      sendText(res, 500, 'text/plain', 'Dev server error');
+    } else {
+      res.end();
+    }
+  }
+});
+
+/**
+ * Hand the request to the worker's fetch handler and relay its response
+ */
+async function handleWorkerRequest(req, res, url) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+
+  const headers = new Headers();
+  Object.entries(req.headers).forEach(([name, value]) => {
+    headers.set(name, Array.isArray(value) ? value.join(', ') : value);
+  });
+  headers.set('CF-Connecting-IP', req.socket.remoteAddress || 'unknown');
+
+  const workerUrl = new URL(url.pathname.slice(API_PREFIX.length) || '/', url.origin);
+  workerUrl.search = url.search;
+
+  const request = new Request(workerUrl, {
+    method: req.method,
+    headers,
+    body: ['GET', 'HEAD'].includes(req.method) ? undefined : Buffer.concat(chunks)
+  });
+
+  const response = await worker.fetch(request, env, { waitUntil() {} });
+  console.log(`${req.method} ${url.pathname} -> ${response.status}`);
+
+  res.writeHead(response.status, Object.fromEntries(response.headers));
+  if (response.body) {
+    for await (const chunk of response.body) {
+      res.write(chunk);
+    }
+  }
+  res.end();
+}
+
+/**
+ * Serve a file from the repo root
+ */
+async function handleStaticRequest(req, res, url) {
+  if (!['GET', 'HEAD'].includes(req.method)) {
+    sendText(res, 405, 'text/plain', 'Method not allowed');
+    return;
+  }
+
+  const relativePath = decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname);
+  const filePath = path.resolve(ROOT, `.${relativePath}`);
+  if (!filePath.startsWith(`${ROOT}${path.sep}`)) {
+    sendText(res, 403, 'text/plain', 'Forbidden');
+    return;
+  }
+
+  let content;
+  try {
+    content = await readFile(filePath);
+  } catch (error) {
+    sendText(res, 404, 'text/plain', 'Not found');
+    return;
+  }
+
+  const type = CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream';
+  res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+  res.end(req.method === 'HEAD' ? undefined : content);
+}
+
+function buildEnvScript(origin) {
+  const settings = { WORKER_URL: `${origin}${API_PREFIX}` };
+  return `// Generated by dev/server.mjs\nwindow.WAR_ROOM_ENV = ${JSON.stringify(settings, null, 4)};\n`;
+}
+
+function sendText(res, status, type, text) {
+  res.writeHead(status, { 'Content-Type': type });
+  res.end(text);
+}
+
+server.listen(Number(options.port), () => {
+  console.log(`War Room Academy dev server: http://localhost:${options.port}`);
+  console.log(`Worker mounted at /api with a mock Anthropic upstream (rate-limit store: ${options['rate-limit-store']})`);
+});
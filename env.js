@@ -0,0 +1,11 @@
+/* ============================================
+   WAR ROOM ACADEMY - ENVIRONMENT
+   ============================================
+   Per-deployment settings, loaded before app.js.
+   Edit this file (not app.js) to point the course at your worker.
+   The local dev server (dev/server.mjs) serves its own env.js
+   pointing at the mock backend instead. */
+
+window.WAR_ROOM_ENV = {
+    WORKER_URL: 'https://war-room-academy-chat.smartselleraico.workers.dev'
+};
@@ -0,0 +1,71 @@
+/**
+ * Shared harness for the app.js tests
+ *
+ * app.js is a browser script, so each test runs it in a fresh vm context
+ * with Map-backed localStorage/sessionStorage and a stub document - no DOM,
+ * and no network beyond a fetch stub a test passes in. Top-level functions
+ * are read off the context.
+ */
+
+import { readFile } from 'node:fs/promises';
+import vm from 'node:vm';
+
+const APP_SOURCE = await readFile(new URL('../app.js', import.meta.url), 'utf8');
+
+/**
+ * Web Storage stand-in over a Map
+ */
+export function createStorage(entries = {}) {
+  const items = new Map(Object.entries(entries));
+  return {
+    get length() {
+      return items.size;
+    },
+    key: (index) => [...items.keys()][index] ?? null,
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      items.set(key, String(value));
+    },
+    removeItem: (key) => {
+      items.delete(key);
+    },
+    keys: () => [...items.keys()]
+  };
+}
+
+/**
+ * Load app.js against the given storage contents
+ * document members override the stub's, e.g. getElementById
+ * Returns the vm context (app functions) and both storages
+ */
+export function loadApp({ local = {}, session = {}, fetch, document = {} } = {}) {
+  const localStorage = createStorage(local);
+  const sessionStorage = createStorage(session);
+  const context = {
+    localStorage,
+    sessionStorage,
+    console: { log() {}, warn() {}, error() {} },
+    document: { addEventListener() {}, querySelector: () => null, querySelectorAll: () => [], ...document },
+    fetch,
+    crypto,
+    TextEncoder,
+    TextDecoder,
+    Event,
+    AbortController,
+    ReadableStream,
+    setTimeout,
+    clearTimeout
+  };
+  context.window = context;
+
+  vm.createContext(context);
+  vm.runInContext(APP_SOURCE, context, { filename: 'app.js' });
+  return { app: context, localStorage, sessionStorage };
+}
+
+/**
+ * Copy a value out of the vm realm so deepEqual compares plain objects
+ */
+export function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
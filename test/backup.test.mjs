@@ -0,0 +1,219 @@
+/**
+ * app.js backup import validation
+ * Run with: node --test
+ *
+ * Runs app.js in a vm context (test/app-context.mjs) and feeds
+ * verifyBackupBundle() checksummed bundles with malformed records.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+
+import { loadApp, plain } from './app-context.mjs';
+
+// ============================================
+// HARNESS
+// ============================================
+
+/**
+ * Backup file text for the given data sections, with a valid checksum
+ */
+function bundleText(data, formatVersion = 2) {
+  const complete = { progress: { version: 2, updatedAt: null, lessons: {} }, conversations: {}, memoryStack: [], ...data };
+  return JSON.stringify({
+    format: 'war-room-backup',
+    formatVersion,
+    exportedAt: '2026-01-01T00:00:00.000Z',
+    data: complete,
+    checksum: createHash('sha256').update(JSON.stringify(complete)).digest('hex')
+  });
+}
+
+const memoryEntry = (id, overrides = {}) => ({
+  id,
+  session: 'Launch planning',
+  date: '2026-01-01',
+  decision: 'Ship the pilot first',
+  usage: 'Before every launch review',
+  lesson: 4,
+  createdAt: '2026-01-01T00:00:00.000Z',
+  ...overrides
+});
+
+const stressTest = (overrides = {}) => ({
+  plan: 'Pilot the onboarding flow with ten customers before the launch review.',
+  rounds: [{ number: 1, title: 'Assumptions', critique: 'Who are the ten customers?', response: 'Existing accounts.' }],
+  totalRounds: 3,
+  startedAt: '2026-01-01T00:00:00.000Z',
+  completedAt: null,
+  ...overrides
+});
+
+// ============================================
+// VERIFYING A BACKUP
+// ============================================
+
+describe('verifyBackupBundle', () => {
+  test('drops malformed and duplicate Memory Stack entries', async () => {
+    const { app } = loadApp();
+    const data = await app.verifyBackupBundle(bundleText({
+      memoryStack: [
+        memoryEntry('entry-1'),
+        memoryEntry('entry-1', { session: 'Duplicate' }),
+        memoryEntry('entry-2', { decision: null }),
+        { session: 'No id' },
+        null,
+        'entry-3'
+      ]
+    }));
+
+    assert.deepEqual(plain(data.memoryStack), [memoryEntry('entry-1')]);
+  });
+
+  test('a Memory Stack that is not a list imports as empty', async () => {
+    const { app } = loadApp();
+    const data = await app.verifyBackupBundle(bundleText({ memoryStack: { 'entry-1': memoryEntry('entry-1') } }));
+
+    assert.deepEqual(plain(data.memoryStack), []);
+  });
+
+  test('drops stress tests without a plan or usable rounds', async () => {
+    const { app } = loadApp();
+    const data = await app.verifyBackupBundle(bundleText({
+      stressTests: {
+        lesson5: stressTest(),
+        lesson6: stressTest({ rounds: undefined }),
+        lesson7: stressTest({ rounds: [{ number: 1, title: 'Assumptions' }] }),
+        lesson8: stressTest({ plan: 42 }),
+        notALesson: stressTest()
+      }
+    }));
+
+    assert.deepEqual(Object.keys(data.stressTests), ['lesson5']);
+  });
+
+  test('drops drift runs for unknown scenarios or with malformed responses', async () => {
+    const { app } = loadApp();
+    const run = (overrides = {}) => ({
+      responses: ['Keep the job until the retainer is signed.'],
+      classifications: { 'step-2-clients': 'agreeable-pivoting' },
+      startedAt: '2026-01-01T00:00:00.000Z',
+      ...overrides
+    });
+    const data = await app.verifyBackupBundle(bundleText({
+      driftRuns: {
+        'solo-consultancy': run(),
+        'no-such-scenario': run(),
+        toString: run()
+      }
+    }));
+    const malformed = await app.verifyBackupBundle(bundleText({
+      driftRuns: { 'solo-consultancy': run({ responses: 'one long answer' }) }
+    }));
+    const unknownType = await app.verifyBackupBundle(bundleText({
+      driftRuns: { 'solo-consultancy': run({ classifications: { 'step-2-clients': 'bored' } }) }
+    }));
+
+    assert.deepEqual(Object.keys(data.driftRuns), ['solo-consultancy']);
+    assert.deepEqual(plain(malformed.driftRuns), {});
+    assert.deepEqual(plain(unknownType.driftRuns), {});
+  });
+
+  test('drops execution loops with missing fields or an unknown outcome', async () => {
+    const { app } = loadApp();
+    const loop = (id, overrides = {}) => ({
+      id,
+      decision: 'Call the three pilot customers',
+      lesson: 8,
+      createdAt: '2026-01-01T00:00:00.000Z',
+      executedAt: '2026-01-02T00:00:00.000Z',
+      outcome: { result: 'confirmed', note: 'Two signed', recordedAt: '2026-01-05T00:00:00.000Z' },
+      ...overrides
+    });
+    const data = await app.verifyBackupBundle(bundleText({
+      executionLoops: {
+        'loop-a': loop('loop-a'),
+        'loop-b': loop('loop-b', { outcome: null, executedAt: null }),
+        'loop-c': loop('loop-c', { createdAt: undefined }),
+        'loop-d': loop('loop-d', { outcome: { result: 'confirmed' } }),
+        'loop-e': loop('loop-e', { outcome: { result: 'guessed', recordedAt: '2026-01-05T00:00:00.000Z' } }),
+        'loop-f': loop('loop-x')
+      }
+    }));
+
+    assert.deepEqual(Object.keys(data.executionLoops), ['loop-a', 'loop-b']);
+  });
+
+  test('drops drill results for unknown drills or with a malformed schedule', async () => {
+    const { app } = loadApp();
+    const record = (overrides = {}) => ({
+      box: 1,
+      dueAt: '2026-01-04T00:00:00.000Z',
+      reviews: [{ at: '2026-01-01T00:00:00.000Z', result: 'correct' }],
+      ...overrides
+    });
+    const data = await app.verifyBackupBundle(bundleText({
+      reviews: {
+        'l16-handoff': record(),
+        'l15-drift-type': record({ dueAt: 'next week' }),
+        'l14-not-war-room': record({ box: 99 }),
+        'no-such-drill': record()
+      }
+    }));
+    const badResult = await app.verifyBackupBundle(bundleText({
+      reviews: { 'l16-handoff': record({ reviews: [{ at: '2026-01-01T00:00:00.000Z', result: 'aced' }] }) }
+    }));
+
+    assert.deepEqual(Object.keys(data.reviews), ['l16-handoff']);
+    assert.deepEqual(plain(badResult.reviews), {});
+  });
+
+  test('a version 1 bundle carries no exercise sections', async () => {
+    const { app } = loadApp();
+    const data = await app.verifyBackupBundle(bundleText({}, 1));
+
+    assert.equal(data.stressTests, null);
+    assert.equal(data.driftRuns, null);
+    assert.equal(data.executionLoops, null);
+    assert.equal(data.reviews, null);
+  });
+});
+
+// ============================================
+// MERGE AND REPLACE
+// ============================================
+
+describe('applying a backup', () => {
+  test('merge keeps the stress test that is further along', () => {
+    const { app } = loadApp();
+    const finished = stressTest({ completedAt: '2026-01-02T00:00:00.000Z' });
+    const current = { ...app.collectBackupData(), stressTests: { lesson5: finished } };
+    const incoming = { ...app.collectBackupData(), stressTests: { lesson5: stressTest(), lesson6: stressTest() } };
+
+    const merged = app.mergeBackupData(current, incoming);
+
+    assert.deepEqual(plain(merged.stressTests), { lesson5: finished, lesson6: stressTest() });
+  });
+
+  test('merge keeps the execution loop that is further along', () => {
+    const { app } = loadApp();
+    const open = { id: 'loop-b', decision: 'Ship it', lesson: null, createdAt: '2026-01-02T00:00:00.000Z', executedAt: null, outcome: null };
+    const executed = { ...open, executedAt: '2026-01-03T00:00:00.000Z' };
+    const older = { ...open, id: 'loop-a', createdAt: '2026-01-01T00:00:00.000Z' };
+    const current = { ...app.collectBackupData(), executionLoops: { 'loop-b': open } };
+    const incoming = { ...app.collectBackupData(), executionLoops: { 'loop-b': executed, 'loop-a': older } };
+
+    const merged = app.mergeBackupData(current, incoming);
+
+    assert.deepEqual(plain(merged.executionLoops), { 'loop-b': executed, 'loop-a': older });
+  });
+
+  test('replace leaves sections the backup does not carry untouched', async () => {
+    const { app } = loadApp({ local: { warRoomStressTests: JSON.stringify({ lesson5: stressTest() }) } });
+
+    app.applyBackupData(await app.verifyBackupBundle(bundleText({}, 1)));
+
+    assert.deepEqual(plain(app.getStressTests()), { lesson5: stressTest() });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * app.js chat sending: checks made before a request and how replies are kept
+ * Run with: node --test
+ *
+ * Runs app.js in a vm context (test/app-context.mjs) with just enough fake
+ * elements for the chat panel.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadApp, plain } from './app-context.mjs';
+
+/**
+ * Element stand-in with the members sendToAI and showChatError touch
+ */
+function fakeElement() {
+  const classes = new Set();
+  return {
+    textContent: '',
+    disabled: false,
+    dataset: {},
+    children: [],
+    classList: {
+      add: (...names) => names.forEach((name) => classes.add(name)),
+      remove: (...names) => names.forEach((name) => classes.delete(name)),
+      contains: (name) => classes.has(name)
+    },
+    appendChild(child) {
+      this.children.push(child);
+      return child;
+    },
+    addEventListener() {},
+    closest: () => null,
+    querySelector: () => null,
+    after() {},
+    remove() {}
+  };
+}
+
+/**
+ * Load app.js on the lesson 1 page with one chat panel and a fetch
+ * that records its calls
+ */
+function loadChat(fetch) {
+  const responseElement = fakeElement();
+  const sendButton = fakeElement();
+  const requests = [];
+  const { app, localStorage } = loadApp({
+    document: {
+      getElementById: (id) => (id === 'ai-response' ? responseElement : null),
+      querySelector: (selector) => (selector === '.send-button' ? sendButton : null),
+      createElement: fakeElement
+    },
+    fetch: async (url, init) => {
+      requests.push(init);
+      return fetch(url, init);
+    }
+  });
+  app.location = { pathname: '/lessons/lesson-1.html' };
+  return { app, localStorage, responseElement, sendButton, requests };
+}
+
+/**
+ * Event-stream response carrying the given raw events
+ */
+function streamResponse(events) {
+  return new Response(events.join(''), {
+    status: 200,
+    headers: { 'Content-Type': 'text/event-stream' }
+  });
+}
+
+describe('sendToAI', () => {
+  test('a prompt over the limit is not sent and says why', async () => {
+    const { app, responseElement, requests } = loadChat(async () => {
+      throw new Error('fetch should not be called');
+    });
+
+    await app.sendToAI('x'.repeat(6001), 'ai-response', 'lesson1');
+
+    assert.equal(requests.length, 0);
+    assert.match(responseElement.textContent, /over 6000 characters, so it was not sent/);
+    assert.equal(responseElement.children.length, 0);
+    assert.equal(app.getConversation('lesson1').messages.length, 0);
+  });
+
+  test('a streamed reply that ends with done is kept in the thread', async () => {
+    const { app, responseElement } = loadChat(async () => streamResponse([
+      'data: {"text":"Name the goal "}\n\n',
+      'data: {"text":"first."}\n\n',
+      'event: done\ndata: {}\n\n'
+    ]));
+
+    await app.sendToAI('What is missing from my brief?', 'ai-response', 'lesson1');
+
+    assert.equal(responseElement.textContent, 'Name the goal first.');
+    assert.deepEqual(
+      plain(app.getConversation('lesson1').messages.map((message) => message.content)),
+      ['What is missing from my brief?', 'Name the goal first.']
+    );
+  });
+
+  test('a stream that closes without done is cut off, not kept', async () => {
+    const { app, responseElement } = loadChat(async () => streamResponse([
+      'data: {"text":"Name the goal "}\n\n'
+    ]));
+
+    await app.sendToAI('What is missing from my brief?', 'ai-response', 'lesson1');
+
+    assert.equal(responseElement.textContent, 'The response was cut off partway. Try again for a complete answer.');
+    assert.equal(responseElement.children.length, 1);
+    assert.equal(responseElement.children[0].className, 'retry-button');
+    assert.equal(app.getConversation('lesson1').messages.length, 0);
+  });
+});
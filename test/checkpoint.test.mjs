@@ -0,0 +1,101 @@
+/**
+ * app.js checkpoint review
+ * Run with: node --test
+ *
+ * Runs app.js in a vm context (test/app-context.mjs) and answers /grade
+ * from a fetch stub, checking which worker failures fall back to the
+ * length check and which keep the lesson locked.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadApp } from './app-context.mjs';
+
+const ANSWER = 'Goal, constraints and audience were all missing.';
+
+// ============================================
+// HARNESS
+// ============================================
+
+/**
+ * Minimal checkpoint block: answer input, review button and feedback panel
+ */
+function createCheckpoint(answer = ANSWER) {
+  const elements = {
+    '.checkpoint-input': { value: answer, dispatchEvent() {} },
+    '.review-button': { disabled: false, textContent: '' },
+    '.checkpoint-review': { textContent: '', classList: { add() {}, remove() {} } }
+  };
+  return { querySelector: (selector) => elements[selector] || null, panel: elements['.checkpoint-review'] };
+}
+
+/**
+ * Submit lesson 1 for review with /grade answering status and body
+ * Returns whether the answer was accepted and the feedback shown
+ */
+async function review(status, body) {
+  const { app } = loadApp({
+    fetch: async () => new Response(JSON.stringify(body), { status })
+  });
+  const checkpoint = createCheckpoint();
+
+  await app.submitCheckpointForReview(1, checkpoint);
+  return { accepted: app.isCheckpointAccepted(1, ANSWER), feedback: checkpoint.panel.textContent };
+}
+
+// ============================================
+// GRADER OUTAGES
+// ============================================
+
+describe('submitCheckpointForReview', () => {
+  const outages = [
+    [504, 'upstream_timeout'],
+    [503, 'upstream_overloaded'],
+    [503, 'upstream_unavailable'],
+    [502, 'upstream_rejected'],
+    [500, 'service_misconfigured'],
+    [402, 'course_budget_exceeded'],
+    [502, 'grading_unreadable']
+  ];
+
+  for (const [status, code] of outages) {
+    test(`${status} ${code} falls back to the length check`, async () => {
+      const { accepted, feedback } = await review(status, { error: 'Unavailable', code });
+
+      assert.equal(accepted, true);
+      assert.match(feedback, /review is unavailable/);
+    });
+  }
+
+  test('an uncoded server error falls back to the length check', async () => {
+    assert.equal((await review(500, { error: 'An unexpected error occurred' })).accepted, true);
+  });
+
+  test('an unreachable worker falls back to the length check', async () => {
+    const { app } = loadApp({
+      fetch: async () => {
+        throw new TypeError('Failed to fetch');
+      }
+    });
+
+    await app.submitCheckpointForReview(1, createCheckpoint());
+    assert.equal(app.isCheckpointAccepted(1, ANSWER), true);
+  });
+
+  const refusals = [
+    [400, { error: 'Prompt blocked', code: 'prompt_blocked', reasons: [] }],
+    [400, { error: 'Invalid request: answer is required' }],
+    [429, { error: 'Daily AI budget reached', code: 'learner_budget_exceeded' }],
+    [429, { error: 'Rate limit exceeded. Please try again later.' }]
+  ];
+
+  for (const [status, body] of refusals) {
+    test(`${status} ${body.code || 'uncoded'} keeps the lesson locked`, async () => {
+      const { accepted, feedback } = await review(status, body);
+
+      assert.equal(accepted, false);
+      assert.doesNotMatch(feedback, /review is unavailable/);
+    });
+  }
+});
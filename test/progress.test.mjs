@@ -0,0 +1,324 @@
+/**
+ * app.js progress schema migration, recovery and server sync
+ * Run with: node --test
+ *
+ * Runs app.js in a vm context (test/app-context.mjs) with in-memory storage.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadApp, plain } from './app-context.mjs';
+
+const PROGRESS_KEY = 'warRoomProgress';
+
+// ============================================
+// MIGRATIONS
+// ============================================
+
+describe('migrateProgressV0', () => {
+  test('folds per-module completion flags into one lessons map', () => {
+    const { app } = loadApp();
+    const result = app.migrateProgressV0({
+      module1: { lesson1: true, lesson2: false, lesson3: true },
+      module2: { lesson5: true }
+    });
+
+    assert.deepEqual(plain(result), {
+      version: 1,
+      updatedAt: null,
+      lessons: {
+        lesson1: { completed: true, completedAt: null, checkpoint: null },
+        lesson3: { completed: true, completedAt: null, checkpoint: null },
+        lesson5: { completed: true, completedAt: null, checkpoint: null }
+      }
+    });
+  });
+
+  test('loose answers mark their lesson complete with the answer', () => {
+    const { app } = loadApp();
+    const result = app.migrateProgressV0({ module1: { lesson1: true } }, { lesson1: 'First answer', lesson2: 'Second answer' });
+
+    assert.deepEqual(plain(result.lessons), {
+      lesson1: { completed: true, completedAt: null, checkpoint: 'First answer' },
+      lesson2: { completed: true, completedAt: null, checkpoint: 'Second answer' }
+    });
+  });
+
+  test('ignores non-lesson keys, truthy non-true flags and malformed modules', () => {
+    const { app } = loadApp();
+    const result = app.migrateProgressV0({
+      module1: { lesson1: 'yes', notes: true, lessonX: true },
+      module2: null,
+      module3: 'complete'
+    });
+
+    assert.deepEqual(plain(result.lessons), {});
+  });
+});
+
+describe('migrateProgressV1', () => {
+  test('dates each lesson from its completion, else the last save', () => {
+    const { app } = loadApp();
+    const result = app.migrateProgressV1({
+      version: 1,
+      updatedAt: '2026-01-05T00:00:00.000Z',
+      lessons: {
+        lesson1: { completed: true, completedAt: '2026-01-01T00:00:00.000Z', checkpoint: 'A' },
+        lesson2: { completed: true, completedAt: null, checkpoint: 'B' }
+      }
+    });
+
+    assert.equal(result.version, 2);
+    assert.equal(result.lessons.lesson1.updatedAt, '2026-01-01T00:00:00.000Z');
+    assert.equal(result.lessons.lesson2.updatedAt, '2026-01-05T00:00:00.000Z');
+    assert.equal(result.lessons.lesson2.checkpoint, 'B');
+  });
+
+  test('leaves updatedAt null when nothing was ever dated', () => {
+    const { app } = loadApp();
+    const result = app.migrateProgressV1({ version: 1, updatedAt: null, lessons: { lesson1: { completed: true } } });
+
+    assert.equal(result.lessons.lesson1.updatedAt, null);
+  });
+});
+
+describe('migrateProgress', () => {
+  test('runs every migration from unversioned data to the current schema', () => {
+    const { app } = loadApp();
+    const result = app.migrateProgress({ module1: { lesson1: true } }, { lesson2: 'Answer' });
+
+    assert.equal(result.version, 2);
+    assert.deepEqual(plain(result.lessons.lesson2), {
+      completed: true,
+      completedAt: null,
+      checkpoint: 'Answer',
+      updatedAt: null
+    });
+  });
+
+  test('returns progress from a newer schema untouched', () => {
+    const { app } = loadApp();
+    const future = { version: 9, lessons: { lesson1: { completed: true } } };
+
+    assert.equal(app.migrateProgress(future), future);
+  });
+});
+
+// ============================================
+// LOADING STORED PROGRESS
+// ============================================
+
+describe('getProgressData', () => {
+  test('picks up loose lessonN_checkpoint keys and warRoomAnswers, then removes them', () => {
+    const { app, localStorage, sessionStorage } = loadApp({
+      local: { lesson2_checkpoint: 'From the checkpoint key' },
+      session: { warRoomAnswers: JSON.stringify({ lesson2: 'Older copy', lesson4: 'From warRoomAnswers', notes: 'x' }) }
+    });
+
+    const progress = app.getProgressData();
+
+    assert.equal(progress.version, 2);
+    assert.deepEqual(Object.keys(progress.lessons).sort(), ['lesson2', 'lesson4']);
+    assert.equal(progress.lessons.lesson2.checkpoint, 'From the checkpoint key');
+    assert.equal(progress.lessons.lesson4.checkpoint, 'From warRoomAnswers');
+    assert.equal(progress.lessons.lesson4.completed, true);
+
+    assert.deepEqual(localStorage.keys(), [PROGRESS_KEY]);
+    assert.deepEqual(sessionStorage.keys(), []);
+    assert.equal(JSON.parse(localStorage.getItem(PROGRESS_KEY)).lessons.lesson2.checkpoint, 'From the checkpoint key');
+  });
+
+  test('upgrades stored version 0 progress together with loose answers', () => {
+    const { app, localStorage } = loadApp({
+      local: {
+        [PROGRESS_KEY]: JSON.stringify({ module1: { lesson1: true } }),
+        lesson3_checkpoint: 'Loose answer'
+      }
+    });
+
+    const progress = app.getProgressData();
+
+    assert.equal(progress.lessons.lesson1.completed, true);
+    assert.equal(progress.lessons.lesson3.checkpoint, 'Loose answer');
+    assert.equal(JSON.parse(localStorage.getItem(PROGRESS_KEY)).version, 2);
+    assert.equal(localStorage.getItem('lesson3_checkpoint'), null);
+  });
+
+  test('drops malformed entries from current-version progress', () => {
+    const { app } = loadApp({
+      local: {
+        [PROGRESS_KEY]: JSON.stringify({
+          version: 2,
+          updatedAt: '2026-01-01T00:00:00.000Z',
+          lessons: { lesson1: { completed: true, checkpoint: 42 }, lesson2: null, bogus: { completed: true } }
+        })
+      }
+    });
+
+    const progress = app.getProgressData();
+
+    assert.deepEqual(Object.keys(progress.lessons), ['lesson1']);
+    assert.equal(progress.lessons.lesson1.checkpoint, null);
+  });
+
+  test('reads newer-schema progress without writing over it', () => {
+    const raw = JSON.stringify({
+      version: 3,
+      updatedAt: '2026-01-01T00:00:00.000Z',
+      lessons: { lesson1: { completed: true, checkpoint: 'Answer', hints: 2 } },
+      streak: 4
+    });
+    const { app, localStorage } = loadApp({ local: { [PROGRESS_KEY]: raw } });
+
+    const progress = app.getProgressData();
+    assert.equal(progress.version, 3);
+    assert.equal(progress.lessons.lesson1.completed, true);
+
+    assert.equal(app.writeProgress(progress), false);
+    app.getProgressData();
+    assert.equal(localStorage.getItem(PROGRESS_KEY), raw);
+    assert.equal(localStorage.getItem(`${PROGRESS_KEY}_corrupt`), null);
+  });
+
+  test('unreadable newer-schema progress is left in place, not recovered', () => {
+    const raw = JSON.stringify({ version: 3, lessons: 'a newer shape' });
+    const { app, localStorage } = loadApp({ local: { [PROGRESS_KEY]: raw } });
+
+    assert.deepEqual(plain(app.getProgressData().lessons), {});
+    assert.equal(localStorage.getItem(PROGRESS_KEY), raw);
+    assert.equal(localStorage.getItem(`${PROGRESS_KEY}_corrupt`), null);
+  });
+});
+
+// ============================================
+// SERVER SYNC
+// ============================================
+
+describe('applyServerProgress', () => {
+  const ANSWER = 'Goal, constraints and audience were all missing.';
+  const entry = (updatedAt, overrides = {}) => ({
+    completed: true,
+    completedAt: updatedAt,
+    checkpoint: ANSWER,
+    updatedAt,
+    ...overrides
+  });
+
+  test('first sign-in keeps local completions the server has no review for', () => {
+    const { app } = loadApp({
+      local: {
+        [PROGRESS_KEY]: JSON.stringify({
+          version: 2,
+          updatedAt: '2026-01-01T11:00:00.000Z',
+          lessons: { lesson1: entry('2026-01-01T10:00:00.000Z'), lesson2: entry('2026-01-01T11:00:00.000Z') }
+        })
+      }
+    });
+
+    app.applyServerProgress({
+      lessons: {
+        lesson1: entry('2026-01-01T10:00:00.000Z', { completed: false, completedAt: null }),
+        lesson2: entry('2026-01-01T11:00:00.000Z', { completed: false, completedAt: null })
+      },
+      rejected: [
+        { lesson: 1, reason: 'checkpoint answer has not passed review', needsReview: true },
+        { lesson: 2, reason: 'lesson 1 is not complete', needsReview: true }
+      ]
+    });
+
+    const progress = app.getProgressData();
+    assert.equal(progress.lessons.lesson1.completed, true);
+    assert.equal(progress.lessons.lesson2.completed, true);
+  });
+
+  test('a verified server completion replaces a rejected local reset', () => {
+    const { app } = loadApp({
+      local: {
+        [PROGRESS_KEY]: JSON.stringify({
+          version: 2,
+          updatedAt: '2026-01-02T00:00:00.000Z',
+          lessons: { lesson1: entry('2026-01-02T00:00:00.000Z', { completed: false, completedAt: null, checkpoint: null }) }
+        })
+      }
+    });
+
+    app.applyServerProgress({
+      lessons: { lesson1: entry('2026-01-01T00:00:00.000Z') },
+      rejected: [{ lesson: 1, reason: 'lesson is already verified complete', needsReview: false }]
+    });
+
+    assert.equal(app.getProgressData().lessons.lesson1.completed, true);
+  });
+});
+
+describe('reviewRejectedCheckpoints', () => {
+  test('sends each unreviewed local answer to the grader once per visit', async () => {
+    const graded = [];
+    const { app } = loadApp({
+      local: {
+        [PROGRESS_KEY]: JSON.stringify({
+          version: 2,
+          updatedAt: '2026-01-01T11:00:00.000Z',
+          lessons: {
+            lesson1: { completed: true, completedAt: null, checkpoint: 'First answer ', updatedAt: null },
+            lesson2: { completed: true, completedAt: null, checkpoint: 'Second answer', updatedAt: null }
+          }
+        })
+      },
+      fetch: async (url, init) => {
+        graded.push(JSON.parse(init.body));
+        return new Response(JSON.stringify({ verdict: 'pass' }), { status: 200 });
+      }
+    });
+    const rejected = [
+      { lesson: 2, reason: 'lesson 1 is not complete', needsReview: true },
+      { lesson: 1, reason: 'checkpoint answer has not passed review', needsReview: true },
+      { lesson: 3, reason: 'lesson is already verified complete', needsReview: false }
+    ];
+
+    await app.reviewRejectedCheckpoints(rejected);
+    await app.reviewRejectedCheckpoints(rejected);
+
+    assert.deepEqual(graded, [
+      { lesson: 1, answer: 'First answer' },
+      { lesson: 2, answer: 'Second answer' }
+    ]);
+  });
+});
+
+describe('recoverProgress', () => {
+  test('keeps unparseable progress under _corrupt and starts over', () => {
+    const raw = '{"version":2,"lessons":{"lesson1":';
+    const { app, localStorage } = loadApp({
+      local: { [PROGRESS_KEY]: raw, lesson1_checkpoint: 'Still here' }
+    });
+
+    const progress = app.getProgressData();
+
+    assert.equal(localStorage.getItem(`${PROGRESS_KEY}_corrupt`), raw);
+    assert.equal(progress.version, 2);
+    assert.deepEqual(Object.keys(progress.lessons), ['lesson1']);
+    assert.equal(progress.lessons.lesson1.checkpoint, 'Still here');
+  });
+
+  test('keeps progress that fails validation under _corrupt', () => {
+    const raw = JSON.stringify({ version: 2, lessons: 'everything' });
+    const { app, localStorage } = loadApp({ local: { [PROGRESS_KEY]: raw } });
+
+    const progress = app.getProgressData();
+
+    assert.equal(localStorage.getItem(`${PROGRESS_KEY}_corrupt`), raw);
+    assert.deepEqual(plain(progress.lessons), {});
+    assert.notEqual(localStorage.getItem(PROGRESS_KEY), raw);
+  });
+
+  test('keeps progress with no migration path under _corrupt', () => {
+    const raw = JSON.stringify({ version: -1, lessons: {} });
+    const { app, localStorage } = loadApp({ local: { [PROGRESS_KEY]: raw } });
+
+    app.getProgressData();
+
+    assert.equal(localStorage.getItem(`${PROGRESS_KEY}_corrupt`), raw);
+  });
+});